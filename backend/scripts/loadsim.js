@@ -0,0 +1,387 @@
+// 티켓 오픈 리허설용 부하 시뮬레이션
+// 가상 사용자 N명이 도착 곡선에 맞춰 /queue/enter → /queue/status(폴링) → admissionUrl의 입장권으로 /reservation/start
+// → 좌석 선점 → 확정까지 진행하고, 끝나면 입장 지연, 예상 대기시간 정확도, 중복 입장, 초과 판매를 보고한다.
+//
+//   node scripts/loadsim.js --event=E01 --users=200 --arrival=poisson --duration-sec=30 --abandon-rate=0.1
+//
+// 로컬 백엔드 기준 (IP 하나에서 몰아서 들어가므로 진입 요청 제한을 끄고 띄운다):
+//   ENTER_RATE_LIMIT_PER_IP=0 ENTER_RATE_LIMIT_PER_USER=0 npm start
+//
+// 옵션
+//   --base-url        백엔드 주소 (기본 http://localhost:3000)
+//   --event           공연 id (필수)
+//   --users           가상 사용자 수 (기본 100)
+//   --arrival         도착 곡선: burst(한꺼번에) | uniform(고르게) | poisson(무작위 간격) | ramp(점점 몰림) (기본 poisson)
+//   --duration-sec    도착이 퍼지는 시간 (기본 30)
+//   --abandon-rate    기다리다 나가는 사용자 비율 0~1 (기본 0)
+//   --patience-sec    나가는 사용자가 버티는 평균 시간, 지수분포 (기본 30)
+//   --cancel-rate     입장 후 좌석을 잡지 않고 예약을 취소하는 비율 0~1 (기본 0)
+//   --seats           사용자당 좌석 수 (기본 1)
+//   --poll-ms         상태 조회 주기 (기본 1000)
+//   --max-wait-sec    이만큼 기다려도 입장 못 하면 포기 (기본 600)
+//   --login-concurrency  준비 단계 회원가입/로그인 동시 요청 수 (기본 10)
+//   --seed            난수 시드 (같은 시드면 같은 도착 시각/이탈자)
+//   --json            결과를 JSON으로 출력
+import crypto from "crypto";
+import { pathToFileURL } from "url";
+import { solves } from "../src/pow.js";
+
+const FINAL_STATES = ["COMPLETED", "CANCELLED", "EXPIRED", "LEFT", "SOLD_OUT"];
+const ARRIVALS = ["burst", "uniform", "poisson", "ramp"];
+// 선점 충돌 시 다른 좌석으로 다시 시도하는 횟수
+const HOLD_ATTEMPTS = 5;
+
+const DEFAULTS = {
+  baseUrl: "http://localhost:3000",
+  event: null,
+  users: 100,
+  arrival: "poisson",
+  durationSec: 30,
+  abandonRate: 0,
+  patienceSec: 30,
+  cancelRate: 0,
+  seats: 1,
+  pollMs: 1000,
+  maxWaitSec: 600,
+  loginConcurrency: 10,
+  seed: null,
+  json: false,
+};
+
+// --foo-bar=값 → { fooBar: 값 }
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  for (const arg of argv) {
+    const m = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!m) throw new Error(`unknown argument: ${arg}`);
+    const key = m[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    if (!(key in DEFAULTS)) throw new Error(`unknown option: --${m[1]}`);
+    const value = m[2] ?? "true";
+    options[key] = typeof DEFAULTS[key] === "string" || DEFAULTS[key] === null ? value : JSON.parse(value);
+  }
+  return options;
+}
+
+function validate(options) {
+  if (!options.event) throw new Error("--event is required");
+  if (!ARRIVALS.includes(options.arrival)) throw new Error(`--arrival must be one of ${ARRIVALS.join(", ")}`);
+  if (!(Number.isInteger(options.users) && options.users > 0)) throw new Error("--users must be a positive integer");
+  for (const key of ["abandonRate", "cancelRate"]) {
+    if (!(options[key] >= 0 && options[key] <= 1)) throw new Error(`--${key} must be between 0 and 1`);
+  }
+}
+
+// 시드 고정 난수 (mulberry32)
+function rng(seed) {
+  let a = Number.parseInt(crypto.createHash("sha256").update(String(seed)).digest("hex").slice(0, 8), 16);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const exponential = (random, mean) => -Math.log(1 - random()) * mean;
+
+// 사용자별 도착 시각(시작 기준 ms), 오름차순
+function arrivalTimes({ arrival, users, durationSec }, random) {
+  const windowMs = durationSec * 1000;
+  if (arrival === "burst") return Array(users).fill(0);
+  if (arrival === "uniform") return Array.from({ length: users }, (_, i) => (i / users) * windowMs);
+  if (arrival === "ramp") return Array.from({ length: users }, () => Math.sqrt(random()) * windowMs).sort((a, b) => a - b);
+  // poisson: 평균 간격 windowMs / users
+  let t = 0;
+  return Array.from({ length: users }, () => (t += exponential(random, windowMs / users)));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function summarize(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  return {
+    count: sorted.length,
+    mean: sorted.reduce((sum, v) => sum + v, 0) / sorted.length,
+    p50: percentile(sorted, 50),
+    p90: percentile(sorted, 90),
+    p99: percentile(sorted, 99),
+    max: sorted[sorted.length - 1],
+  };
+}
+
+function client(baseUrl) {
+  return async (method, path, { token, body } = {}) => {
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(body !== undefined && { "Content-Type": "application/json" }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    const json = await res.json().catch(() => null);
+    return { status: res.status, body: json };
+  };
+}
+
+// 동시 요청 수를 제한해 fn을 모두 실행
+async function pool(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// 작업 증명 풀기 (공연 정책 powDifficulty > 0)
+async function solveChallenge(api, token, eventId) {
+  const { body } = await api("GET", `/queue/challenge?eventId=${encodeURIComponent(eventId)}`, { token });
+  if (!body?.challengeId) return {};
+  let solution = 0;
+  while (!solves(body.nonce, String(solution), body.difficulty)) solution++;
+  return { powChallengeId: body.challengeId, powSolution: String(solution) };
+}
+
+// 가상 사용자 한 명. 결과(outcome)와 측정값을 stats에 남긴다
+async function virtualUser(ctx, user) {
+  const { api, options, stats, startedAt } = ctx;
+  const { token } = user;
+  const record = { userId: user.userId, outcome: null };
+  stats.users.push(record);
+
+  await sleep(Math.max(startedAt + user.arriveAtMs - Date.now(), 0));
+
+  let enter = await api("POST", "/queue/enter", { token, body: { eventId: options.event } });
+  if (enter.status === 403 && enter.body?.error === "pow_required") {
+    const pow = await solveChallenge(api, token, options.event);
+    enter = await api("POST", "/queue/enter", { token, body: { eventId: options.event, ...pow } });
+  }
+  if (enter.status !== 200) {
+    record.outcome = `enter_rejected:${enter.body?.error ?? enter.status}`;
+    return;
+  }
+
+  const { queueToken } = enter.body;
+  const enteredAt = Date.now();
+  const deadline = enteredAt + (user.patienceMs ?? options.maxWaitSec * 1000);
+
+  // 입장할 때까지 폴링. 처음 받은 예상 대기시간을 실제와 비교한다
+  let admission = null;
+  for (;;) {
+    const { status, body } = await api("GET", `/queue/status?token=${queueToken}`, { token });
+    if (status !== 200) {
+      record.outcome = `status_error:${body?.error ?? status}`;
+      return;
+    }
+    if (body.status === "WAITING" && record.estimate === undefined && body.estimatedWaitSec !== undefined) {
+      record.estimate = { at: Date.now(), sec: body.estimatedWaitSec, range: body.estimatedWaitRangeSec };
+    }
+    if (body.status === "ADMITTED") {
+      admission = body;
+      break;
+    }
+    if (FINAL_STATES.includes(body.status)) {
+      record.outcome = `${body.status.toLowerCase()}${body.expiredReason ? `:${body.expiredReason}` : ""}`;
+      return;
+    }
+    if (Date.now() >= deadline) {
+      await api("POST", "/queue/leave", { token, body: { queueToken } });
+      record.outcome = user.patienceMs !== undefined ? "abandoned" : "gave_up";
+      return;
+    }
+    await sleep(options.pollMs);
+  }
+
+  record.admittedAfterMs = Date.now() - enteredAt;
+  if (record.estimate?.sec !== null && record.estimate !== undefined) {
+    record.actualWaitSec = (Date.now() - record.estimate.at) / 1000;
+  }
+
+  const admissionToken = new URL(admission.admissionUrl, "http://local").searchParams.get("admissionToken");
+  const owners = stats.admissionTokens.get(admissionToken) ?? new Set();
+  owners.add(user.userId);
+  stats.admissionTokens.set(admissionToken, owners);
+  stats.admissionsByUser.set(user.userId, (stats.admissionsByUser.get(user.userId) ?? 0) + 1);
+
+  const start = await api("POST", "/reservation/start", { token, body: { admissionToken } });
+  if (start.status !== 200) {
+    record.outcome = `start_failed:${start.body?.error ?? start.status}`;
+    return;
+  }
+  const { reservationId } = start.body;
+
+  if (user.cancels) {
+    await api("POST", "/reservation/cancel", { token, body: { reservationId } });
+    record.outcome = "cancelled";
+    return;
+  }
+
+  // 빈 좌석 중 무작위로 골라 선점 (다른 사용자와 부딪히면 다시 고른다)
+  let held = null;
+  for (let attempt = 0; attempt < HOLD_ATTEMPTS && !held; attempt++) {
+    const map = await api("GET", `/events/${encodeURIComponent(options.event)}/seats`);
+    const available = (map.body?.seats ?? []).filter((s) => s.status === "AVAILABLE").map((s) => s.seatId);
+    if (available.length < options.seats) break;
+
+    const picked = [];
+    while (picked.length < options.seats) {
+      const seatId = available.splice(Math.floor(ctx.random() * available.length), 1)[0];
+      picked.push(seatId);
+    }
+    const hold = await api("POST", "/reservation/seats/hold", { token, body: { reservationId, seatIds: picked } });
+    if (hold.status === 200) held = hold.body.seatIds;
+    else stats.holdConflicts++;
+  }
+  if (!held) {
+    await api("POST", "/reservation/cancel", { token, body: { reservationId } });
+    // 대기열 단계의 매진(SOLD_OUT → "sold_out")과 구분한다: 입장은 했지만 잡을 좌석이 없었다
+    record.outcome = "seats_exhausted";
+    return;
+  }
+
+  const confirm = await api("POST", "/reservation/confirm", { token, body: { reservationId } });
+  if (confirm.status !== 200) {
+    record.outcome = `confirm_failed:${confirm.body?.error ?? confirm.status}`;
+    return;
+  }
+  for (const seatId of confirm.body.seatIds) {
+    stats.soldSeats.set(seatId, [...(stats.soldSeats.get(seatId) ?? []), reservationId]);
+  }
+  record.outcome = "completed";
+}
+
+// 시뮬레이션 실행 후 보고서
+export async function runSimulation(input) {
+  const options = { ...DEFAULTS, ...input };
+  validate(options);
+  const random = rng(options.seed ?? crypto.randomBytes(8).toString("hex"));
+  const api = client(options.baseUrl);
+  const runId = crypto.randomBytes(4).toString("hex");
+
+  // 준비: 가상 사용자 가입/로그인 (도착 시각 계산 전에 끝낸다)
+  const prepStartedAt = Date.now();
+  const arrivals = arrivalTimes(options, random);
+  const users = await pool(arrivals, options.loginConcurrency, async (arriveAtMs, i) => {
+    const email = `loadsim-${runId}-${i}@loadsim.test`;
+    const password = `pw-${runId}`;
+    await api("POST", "/auth/signup", { body: { email, password, nickname: `vu${i}` } });
+    const login = await api("POST", "/auth/login", { body: { email, password } });
+    if (login.status !== 200) throw new Error(`login failed for ${email}: ${login.status}`);
+    return {
+      userId: String(login.body.user.id),
+      token: login.body.accessToken,
+      arriveAtMs,
+      patienceMs: random() < options.abandonRate ? exponential(random, options.patienceSec * 1000) : undefined,
+      cancels: random() < options.cancelRate,
+    };
+  });
+  const prepMs = Date.now() - prepStartedAt;
+
+  const stats = { users: [], admissionTokens: new Map(), admissionsByUser: new Map(), soldSeats: new Map(), holdConflicts: 0 };
+  const ctx = { api, options, stats, random, startedAt: Date.now() };
+  await Promise.all(
+    users.map((user) =>
+      virtualUser(ctx, user).catch((err) => {
+        stats.users.push({ userId: user.userId, outcome: `error:${err.message}` });
+      })
+    )
+  );
+  const runMs = Date.now() - ctx.startedAt;
+
+  // 초과 판매: 한 좌석이 여러 예약에 팔렸거나, 판매 수가 좌석 수를 넘었거나, 서버 좌석 맵과 다를 때
+  const map = await api("GET", `/events/${encodeURIComponent(options.event)}/seats`);
+  const seatMap = map.body?.seats ?? [];
+  const soldOnServer = seatMap.filter((s) => s.status === "SOLD").length;
+  const doubleSold = [...stats.soldSeats].filter(([, reservations]) => reservations.length > 1).map(([seatId]) => seatId);
+
+  const outcomes = {};
+  for (const { outcome } of stats.users) outcomes[outcome] = (outcomes[outcome] ?? 0) + 1;
+
+  const estimated = stats.users.filter((u) => u.actualWaitSec !== undefined);
+  const inRange = estimated.filter(
+    (u) => u.estimate.range && u.actualWaitSec >= u.estimate.range.min && (u.estimate.range.max === null || u.actualWaitSec <= u.estimate.range.max)
+  );
+
+  return {
+    options: { ...options },
+    prepSec: prepMs / 1000,
+    runSec: runMs / 1000,
+    outcomes,
+    admissionLatencySec: summarize(stats.users.filter((u) => u.admittedAfterMs !== undefined).map((u) => u.admittedAfterMs / 1000)),
+    // 실제 - 예상 (양수면 예상보다 오래 기다림). 상태 조회 주기만큼 오차가 있다
+    waitEstimate: {
+      errorSec: summarize(estimated.map((u) => u.actualWaitSec - u.estimate.sec)),
+      absErrorSec: summarize(estimated.map((u) => Math.abs(u.actualWaitSec - u.estimate.sec))),
+      withinRangeRatio: estimated.length ? inRange.length / estimated.length : null,
+    },
+    duplicateAdmissions: {
+      // 한 사용자가 입장권을 두 번 이상 받음
+      users: [...stats.admissionsByUser].filter(([, n]) => n > 1).map(([userId]) => userId),
+      // 같은 입장권을 여러 사용자가 받음
+      tokens: [...stats.admissionTokens].filter(([, owners]) => owners.size > 1).map(([token]) => token),
+    },
+    oversell: {
+      seats: seatMap.length,
+      soldByClients: stats.soldSeats.size,
+      soldOnServer,
+      doubleSoldSeats: doubleSold,
+      detected: doubleSold.length > 0 || stats.soldSeats.size > seatMap.length || stats.soldSeats.size !== soldOnServer,
+    },
+    holdConflicts: stats.holdConflicts,
+  };
+}
+
+const fmt = (s) =>
+  s ? `p50=${s.p50.toFixed(2)} p90=${s.p90.toFixed(2)} p99=${s.p99.toFixed(2)} max=${s.max.toFixed(2)} (n=${s.count})` : "-";
+
+function printReport(report) {
+  const { options } = report;
+  console.log(`Load simulation: event=${options.event} users=${options.users} arrival=${options.arrival}/${options.durationSec}s`);
+  console.log(`  prep ${report.prepSec.toFixed(1)}s, run ${report.runSec.toFixed(1)}s`);
+  console.log("Outcomes");
+  for (const [outcome, n] of Object.entries(report.outcomes).sort((a, b) => b[1] - a[1])) {
+    console.log(`  ${outcome.padEnd(32)} ${n}`);
+  }
+  console.log(`Admission latency (s)      ${fmt(report.admissionLatencySec)}`);
+  console.log(`Wait estimate error (s)    ${fmt(report.waitEstimate.errorSec)}`);
+  console.log(`Wait estimate |error| (s)  ${fmt(report.waitEstimate.absErrorSec)}`);
+  const ratio = report.waitEstimate.withinRangeRatio;
+  console.log(`Within estimate range      ${ratio === null ? "-" : `${(ratio * 100).toFixed(1)}%`}`);
+  const dup = report.duplicateAdmissions;
+  console.log(`Duplicate admissions       users=${dup.users.length} tokens=${dup.tokens.length}`);
+  const o = report.oversell;
+  console.log(
+    `Oversell                   ${o.detected ? "DETECTED" : "none"} (seats=${o.seats} soldByClients=${o.soldByClients} ` +
+      `soldOnServer=${o.soldOnServer} doubleSold=${o.doubleSoldSeats.length})`
+  );
+  console.log(`Seat hold conflicts        ${report.holdConflicts}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const report = await runSimulation(options);
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else printReport(report);
+  // 중복 입장이나 초과 판매가 있으면 실패로 끝낸다 (CI 리허설용)
+  if (report.oversell.detected || report.duplicateAdmissions.users.length || report.duplicateAdmissions.tokens.length) {
+    process.exitCode = 2;
+  }
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
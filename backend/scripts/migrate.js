@@ -0,0 +1,35 @@
+// 스키마 마이그레이션 CLI
+//   node scripts/migrate.js up           적용 안 된 마이그레이션 모두 적용
+//   node scripts/migrate.js down [n]     마지막 n개 되돌리기 (기본 1)
+//   node scripts/migrate.js status       버전별 적용 여부
+import "dotenv/config";
+import { pool } from "../src/db.js";
+import { migrateUp, migrateDown, migrationStatus } from "../src/migrate.js";
+
+async function main() {
+  const [command = "up", arg] = process.argv.slice(2);
+
+  if (command === "up") {
+    const done = await migrateUp();
+    console.log(done.length ? `Applied ${done.length} migration(s)` : "Already up to date");
+  } else if (command === "down") {
+    const steps = Number.parseInt(arg ?? "1", 10);
+    if (!Number.isInteger(steps) || steps < 1) throw new Error("down: steps must be a positive integer");
+    const done = await migrateDown(steps);
+    console.log(`Reverted ${done.length} migration(s)`);
+  } else if (command === "status") {
+    for (const { version, name, appliedAt } of await migrationStatus()) {
+      console.log(`${String(version).padStart(3, "0")}_${name}  ${appliedAt ?? "pending"}`);
+    }
+  } else {
+    throw new Error(`unknown command: ${command} (up | down [n] | status)`);
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (e) => {
+    console.error(e.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,30 @@
+// 시연용 공연/좌석 넣기 (마이그레이션 후 실행, 여러 번 실행해도 된다)
+//   node scripts/seed-demo.js
+import "dotenv/config";
+import { pool } from "../src/db.js";
+
+async function main() {
+  // 시연용 공연 (지금부터 30일간 판매)
+  await pool.query(
+    `INSERT INTO events (id, name, venue, capacity, sale_opens_at, sale_closes_at)
+     VALUES ('E01', 'Weave Live Demo', 'Demo Hall', 50, NOW(), NOW() + INTERVAL '30 days')
+     ON CONFLICT (id) DO NOTHING`
+  );
+
+  // 시연용 좌석 (E01: A구역 5열 x 10석)
+  await pool.query(
+    `INSERT INTO seats (event_id, seat_id, section, row_label, seat_number, price)
+     SELECT 'E01', 'A' || r || '-' || n, 'A', r::text, n, 110000
+     FROM generate_series(1, 5) AS r, generate_series(1, 10) AS n
+     ON CONFLICT (event_id, seat_id) DO NOTHING`
+  );
+  console.log("Demo event E01 ready");
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (e) => {
+    console.error(e.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+import { redis } from "./redisClient.js";
+
+// 공연별로 "지금 입장해 있는" 토큰 (admission 대기 + 예약 세션 진행 중)
+// event:active:{eventId} = zset(member=queueToken, score=만료 시각 ms)
+// 만료 시각이 지난 항목은 세지 않고, 정리기(sweeper.js)가 꺼내서 EXPIRED 처리한다.
+export const activeKey = (eventId) => `event:active:${eventId}`;
+
+// 아직 만료되지 않은 인원
+export async function countActive(eventId) {
+  return redis.zCount(activeKey(eventId), `(${Date.now()}`, "+inf");
+}
+
+// 만료 시각이 지난 토큰을 꺼낸다 (꺼낸 쪽이 상태 전환을 맡는다)
+export async function popExpiredActive(eventId) {
+  const key = activeKey(eventId);
+  const tokens = await redis.zRangeByScore(key, "-inf", Date.now());
+  if (!tokens.length) return [];
+
+  // 다른 정리기가 먼저 지운 토큰은 제외 (ZREM 결과가 0)
+  const multi = redis.multi();
+  for (const token of tokens) multi.zRem(key, token);
+  const removed = await multi.exec();
+  return tokens.filter((_, i) => Number(removed[i]) === 1);
+}
+
+// 입장/예약 시작 시 등록 (같은 토큰이면 만료 시각만 갱신)
+export async function trackActive(eventId, queueToken, ttlSec) {
+  await redis.zAdd(activeKey(eventId), [{ score: Date.now() + ttlSec * 1000, value: queueToken }]);
+}
+
+// 예약 확정/취소로 자리가 비었을 때
+export async function releaseActive(eventId, queueToken) {
+  await redis.zRem(activeKey(eventId), queueToken);
+}
@@ -0,0 +1,1324 @@
+import express from "express";
+import { requireAdmin } from "./auth.js";
+import { getEventConfig, updateEventConfig } from "./eventConfig.js";
+import { listEvents, createEvent, updateEvent } from "./events.js";
+import { hasLane, addAccessCodes, assignLaneUsers } from "./lanes.js";
+import { auditLottery } from "./lottery.js";
+import { admitToken } from "./admitter.js";
+import { getQueueStatus } from "./queueStatus.js";
+import {
+  getControlState,
+  clearSoldOut,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  flushQueue,
+  listWaiting,
+  evictToken,
+  setBroadcast,
+} from "./queueControl.js";
+import { collectQueueMetrics } from "./metrics.js";
+import { AUDIT_ACTIONS, queryAudit } from "./audit.js";
+import { invalidateSeatCount } from "./tickets.js";
+
+const router = express.Router();
+
+router.use("/admin", requireAdmin);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Event:
+ *       type: object
+ *       properties:
+ *         eventId:
+ *           type: string
+ *           example: "E01"
+ *         name:
+ *           type: string
+ *           example: "2026 Weave Live"
+ *         venue:
+ *           type: string
+ *           nullable: true
+ *           example: "올림픽공원 KSPO DOME"
+ *         capacity:
+ *           type: integer
+ *           example: 50
+ *         saleOpensAt:
+ *           type: string
+ *           format: date-time
+ *         saleClosesAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /admin/events:
+ *   get:
+ *     summary: 공연 목록 (관리자)
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 items:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Event'
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/events", async (req, res) => {
+  try {
+    return res.json({ items: await listEvents() });
+  } catch (err) {
+    console.error("GET /admin/events failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events:
+ *   post:
+ *     summary: 공연 등록 (관리자)
+ *     security:
+ *       - adminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *               - name
+ *               - capacity
+ *               - saleOpensAt
+ *               - saleClosesAt
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *                 example: "E02"
+ *               name:
+ *                 type: string
+ *                 example: "2026 Weave Live"
+ *               venue:
+ *                 type: string
+ *                 example: "올림픽공원 KSPO DOME"
+ *               capacity:
+ *                 type: integer
+ *                 example: 50
+ *               saleOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-11-01T11:00:00+09:00"
+ *               saleClosesAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: "2026-11-08T23:59:59+09:00"
+ *     responses:
+ *       201:
+ *         description: 등록 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: 잘못된 입력 (fields에 문제 필드 목록)
+ *       401:
+ *         description: 관리자 키 불일치
+ *       409:
+ *         description: 이미 있는 eventId
+ */
+router.post("/admin/events", async (req, res) => {
+  try {
+    const { event, errors, conflict } = await createEvent(req.body || {});
+    if (errors) return res.status(400).json({ error: "invalid_event", fields: errors });
+    if (conflict) return res.status(409).json({ error: "event_already_exists" });
+
+    return res.status(201).json(event);
+  } catch (err) {
+    console.error("POST /admin/events failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}:
+ *   patch:
+ *     summary: 공연 정보 수정 (관리자)
+ *     description: 보낸 필드만 바뀐다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               venue:
+ *                 type: string
+ *                 nullable: true
+ *               capacity:
+ *                 type: integer
+ *               saleOpensAt:
+ *                 type: string
+ *                 format: date-time
+ *               saleClosesAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       200:
+ *         description: 수정 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Event'
+ *       400:
+ *         description: 잘못된 입력
+ *       401:
+ *         description: 관리자 키 불일치
+ *       404:
+ *         description: 없는 공연
+ */
+router.patch("/admin/events/:eventId", async (req, res) => {
+  try {
+    const { event, errors } = await updateEvent(req.params.eventId, req.body || {});
+    if (errors) return res.status(400).json({ error: "invalid_event", fields: errors });
+    if (!event) return res.status(404).json({ error: "event_not_found" });
+    // 좌석은 DB에서 직접 넣으므로 공연을 고치면 좌석 수를 다시 세게 한다
+    await invalidateSeatCount(event.eventId);
+    // 정원이 바뀌었으면 매진 판단을 다시 하게 한다 (입장 처리기가 다음 틱에 다시 정한다)
+    if (req.body?.capacity !== undefined) await clearSoldOut(event.eventId);
+
+    return res.json(event);
+  } catch (err) {
+    console.error("PATCH /admin/events/:eventId failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/config:
+ *   get:
+ *     summary: 공연별 대기열 정책 조회 (관리자)
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 config:
+ *                   type: object
+ *                   properties:
+ *                     reentryPolicy:
+ *                       type: string
+ *                       enum: [KEEP, REQUEUE]
+ *                     batchSize:
+ *                       type: integer
+ *                       example: 5
+ *                     intervalMs:
+ *                       type: integer
+ *                       example: 3000
+ *                     admissionTtlSec:
+ *                       type: integer
+ *                       example: 120
+ *                     reservationTtlSec:
+ *                       type: integer
+ *                       example: 120
+ *                     queueTokenTtlSec:
+ *                       type: integer
+ *                       example: 3600
+ *                     maxActiveSessions:
+ *                       type: integer
+ *                       example: 0
+ *                     heartbeatTimeoutSec:
+ *                       type: integer
+ *                       example: 0
+ *                     heartbeatAction:
+ *                       type: string
+ *                       enum: [DROP, DEPRIORITIZE]
+ *                     lanes:
+ *                       type: string
+ *                       example: "general:1"
+ *                     laneMode:
+ *                       type: string
+ *                       enum: [RATIO, STRICT]
+ *                     lotteryWindowSec:
+ *                       type: integer
+ *                       example: 0
+ *                     powDifficulty:
+ *                       type: integer
+ *                       example: 0
+ *                     maxTicketsPerUser:
+ *                       type: integer
+ *                       example: 4
+ *                     soldOutWaitlist:
+ *                       type: boolean
+ *                       example: false
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/events/:eventId/config", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    return res.json({ eventId, config: await getEventConfig(eventId) });
+  } catch (err) {
+    console.error("GET /admin/events/:eventId/config failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/config:
+ *   patch:
+ *     summary: 공연별 대기열 정책 변경 (관리자)
+ *     description: 보낸 필드만 바뀌고, 바로 다음 요청부터 적용된다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reentryPolicy:
+ *                 type: string
+ *                 enum: [KEEP, REQUEUE]
+ *                 description: 같은 사용자가 다시 진입할 때 기존 자리 유지(KEEP) / 맨 뒤로(REQUEUE)
+ *               batchSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 한 번에 입장시키는 인원
+ *               intervalMs:
+ *                 type: integer
+ *                 minimum: 100
+ *                 description: 입장 주기(ms). 예상 대기시간도 이 값으로 계산
+ *               admissionTtlSec:
+ *                 type: integer
+ *                 minimum: 10
+ *                 description: admissionToken 유효시간
+ *               reservationTtlSec:
+ *                 type: integer
+ *                 minimum: 10
+ *                 description: 예약 세션(좌석 선점) 유효시간
+ *               queueTokenTtlSec:
+ *                 type: integer
+ *                 minimum: 60
+ *                 description: 대기열 토큰 유효시간 (새로 발급되는 토큰부터 적용)
+ *               maxActiveSessions:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: 동시에 입장/예약 중일 수 있는 최대 인원. 0이면 제한 없음(batchSize씩 입장)
+ *               heartbeatTimeoutSec:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: |
+ *                   대기 중 /queue/status 조회나 /queue/stream 연결이 이 시간 동안 없으면 heartbeatAction 적용. 0이면 끔.
+ *                   /queue/stream keepalive 주기(기본 15초)보다 길게 잡는다.
+ *               heartbeatAction:
+ *                 type: string
+ *                 enum: [DROP, DEPRIORITIZE]
+ *                 description: 하트비트가 끊긴 대기자를 대기열에서 뺄지(DROP) 맨 뒤로 보낼지(DEPRIORITIZE)
+ *               lanes:
+ *                 type: string
+ *                 example: "presale:3,accessibility:2,general:1"
+ *                 description: |
+ *                   대기열 레인 목록 "이름:비율,..." (앞에 있을수록 우선). general은 반드시 포함.
+ *                   대기자가 남은 레인은 뺄 수 없다.
+ *               laneMode:
+ *                 type: string
+ *                 enum: [RATIO, STRICT]
+ *                 description: 레인 비율대로 번갈아 입장(RATIO) / 앞 레인이 빌 때까지 앞 레인만 입장(STRICT)
+ *               lotteryWindowSec:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: 판매 오픈 전 이 시간(초) 동안 들어온 사람은 오픈 순간 추첨으로 순번을 정한다. 0이면 끔
+ *               powDifficulty:
+ *                 type: integer
+ *                 minimum: 0
+ *                 maximum: 32
+ *                 description: |
+ *                   /queue/enter 전에 풀어야 하는 작업 증명 난이도(앞쪽 0비트 수). 0이면 끔.
+ *                   1 올릴 때마다 계산량이 두 배. 올리면 이전 난이도로 발급된 챌린지는 거절된다.
+ *               maxTicketsPerUser:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: |
+ *                   사용자 한 명이 이 공연에서 선점/구매할 수 있는 최대 좌석 수. 0이면 제한 없음.
+ *                   대기열에 다시 들어오거나 예약 세션을 여러 개 열어도 합산한다. 낮춰도 이미 판매된 좌석은 그대로 둔다.
+ *               soldOutWaitlist:
+ *                 type: boolean
+ *                 description: |
+ *                   매진돼도 대기열을 닫지 않는다. 남은 좌석이 없는 동안 입장만 멈추고,
+ *                   취소/선점 만료/정원 증가로 좌석이 돌아오면 자동으로 이어서 입장시킨다.
+ *                   끄면(기본) 확정 판매로 재고가 차는 순간 새 진입을 막고 대기자를 모두 SOLD_OUT으로 바꾼다.
+ *     responses:
+ *       200:
+ *         description: 변경 후 정책
+ *       400:
+ *         description: 알 수 없는 필드 또는 잘못된 값
+ *       401:
+ *         description: 관리자 키 불일치
+ *       409:
+ *         description: 대기자가 남은 레인을 빼려고 함 (lane_not_empty)
+ */
+router.patch("/admin/events/:eventId/config", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { config, errors, conflict } = await updateEventConfig(eventId, req.body);
+    if (errors) return res.status(400).json({ error: "invalid_config", fields: errors });
+    if (conflict) return res.status(409).json({ error: "lane_not_empty", lanes: conflict });
+
+    return res.json({ eventId, config });
+  } catch (err) {
+    console.error("PATCH /admin/events/:eventId/config failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/lanes/{lane}/access-codes:
+ *   post:
+ *     summary: 레인 접근 코드 발급 (관리자)
+ *     description: |
+ *       /queue/enter에 accessCode로 보내면 이 레인으로 들어간다 (선예매 등).
+ *       codes를 보내면 그 코드를 등록하고, 없으면 count개를 새로 만든다. 코드는 처음 쓴 사용자에게 묶인다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: path
+ *         name: lane
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "presale"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               codes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               count:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 1000
+ *                 example: 100
+ *     responses:
+ *       201:
+ *         description: 등록된 코드
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 lane:
+ *                   type: string
+ *                 codes:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: 공연 정책에 없는 레인 (unknown_lane) 또는 codes/count 오류
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/lanes/:lane/access-codes", async (req, res) => {
+  try {
+    const { eventId, lane } = req.params;
+    const { codes, count } = req.body || {};
+
+    if (!hasLane(await getEventConfig(eventId), lane)) return res.status(400).json({ error: "unknown_lane" });
+    const validCodes = Array.isArray(codes) && codes.length > 0 && codes.every((c) => typeof c === "string" && c);
+    const validCount = Number.isInteger(count) && count >= 1 && count <= 1000;
+    if (!validCodes && !validCount) return res.status(400).json({ error: "codes or count is required" });
+
+    const issued = await addAccessCodes(eventId, lane, { codes: validCodes ? codes : null, count });
+    return res.status(201).json({ eventId, lane, codes: issued });
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/lanes/:lane/access-codes failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/lanes/{lane}/users:
+ *   post:
+ *     summary: 사용자를 레인에 지정 (관리자)
+ *     description: |
+ *       확인된 사용자 속성(접근성 좌석 대상 등)으로 레인을 지정한다. 접근 코드 없이 /queue/enter 하면 이 레인으로 들어간다.
+ *       lane이 general이면 지정을 푼다. 이미 대기 중인 토큰의 레인은 바뀌지 않는다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: path
+ *         name: lane
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "accessibility"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userIds
+ *             properties:
+ *               userIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["17", "42"]
+ *     responses:
+ *       200:
+ *         description: 지정 완료
+ *       400:
+ *         description: 공연 정책에 없는 레인 (unknown_lane) 또는 userIds 누락
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/lanes/:lane/users", async (req, res) => {
+  try {
+    const { eventId, lane } = req.params;
+    const { userIds } = req.body || {};
+
+    if (!hasLane(await getEventConfig(eventId), lane)) return res.status(400).json({ error: "unknown_lane" });
+    if (!Array.isArray(userIds) || !userIds.length) return res.status(400).json({ error: "userIds is required" });
+
+    await assignLaneUsers(eventId, lane, userIds);
+    return res.json({ eventId, lane, userIds: userIds.map(String) });
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/lanes/:lane/users failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/lottery:
+ *   get:
+ *     summary: 오픈 전 추첨 감사 (관리자)
+ *     description: |
+ *       DB에 남은 추첨 기록(시드, 참가자 순서)을 돌려주고, 시드로 순서를 다시 계산해 기록과 같은지(verified) 확인한다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 추첨 기록
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 seed:
+ *                   type: string
+ *                 seedHash:
+ *                   type: string
+ *                 drawnAt:
+ *                   type: string
+ *                   format: date-time
+ *                 verified:
+ *                   type: boolean
+ *                 participants:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rank:
+ *                         type: integer
+ *                       queueToken:
+ *                         type: string
+ *                       userId:
+ *                         type: string
+ *                       lane:
+ *                         type: string
+ *                       joinedAt:
+ *                         type: integer
+ *       401:
+ *         description: 관리자 키 불일치
+ *       404:
+ *         description: 추첨 기록 없음 (lottery_not_found)
+ */
+router.get("/admin/events/:eventId/lottery", async (req, res) => {
+  try {
+    const audit = await auditLottery(req.params.eventId);
+    if (!audit) return res.status(404).json({ error: "lottery_not_found" });
+
+    return res.json(audit);
+  } catch (err) {
+    console.error("GET /admin/events/:eventId/lottery failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QueueControl:
+ *       type: object
+ *       properties:
+ *         eventId:
+ *           type: string
+ *         paused:
+ *           type: object
+ *           nullable: true
+ *           description: 일시정지 중이면 { reason, at }
+ *         draining:
+ *           type: object
+ *           nullable: true
+ *           description: 새 진입을 막은 상태면 { reason, at }
+ *         broadcast:
+ *           type: object
+ *           nullable: true
+ *           description: 대기자에게 보이는 공지 { message, postedAt }
+ *         soldOut:
+ *           type: object
+ *           nullable: true
+ *           description: |
+ *             남은 좌석이 없으면 { state, at }. WAITLIST = 입장만 멈춤(좌석이 돌아오면 자동으로 이어짐),
+ *             SOLD_OUT = 판매 종료로 새 진입을 막고 대기자를 SOLD_OUT으로 바꿈
+ */
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue:
+ *   get:
+ *     summary: 대기열 현황 (관리자)
+ *     description: 제어 상태와 레인별 앞쪽 대기자 limit명(토큰 메타 포함), 추첨 대기 인원을 돌려준다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 500
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/events/:eventId/queue", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 20, 1), 500);
+    return res.json({ ...(await getControlState(eventId)), ...(await listWaiting(eventId, limit)) });
+  } catch (err) {
+    console.error("GET /admin/events/:eventId/queue failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/pause:
+ *   post:
+ *     summary: 입장 일시정지 (관리자)
+ *     description: 입장 처리기가 이 공연을 건너뛴다. 진입과 대기열은 그대로이고 resume으로 다시 시작한다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "결제 PG 장애"
+ *     responses:
+ *       200:
+ *         description: 변경 후 제어 상태
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueueControl'
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/queue/pause", async (req, res) => {
+  try {
+    return res.json(await pauseQueue(req.params.eventId, req.body?.reason));
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/pause failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/resume:
+ *   post:
+ *     summary: 입장 재개 (관리자)
+ *     description: 일시정지와 진입 차단(drain)을 모두 푼다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 변경 후 제어 상태
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueueControl'
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/queue/resume", async (req, res) => {
+  try {
+    return res.json(await resumeQueue(req.params.eventId));
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/resume failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/drain:
+ *   post:
+ *     summary: 새 진입 차단 (관리자)
+ *     description: 새 /queue/enter는 403 queue_draining으로 거절하고, 남은 대기자는 계속 입장시킨다. resume으로 푼다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "결제 PG 장애"
+ *     responses:
+ *       200:
+ *         description: 변경 후 제어 상태
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueueControl'
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/queue/drain", async (req, res) => {
+  try {
+    return res.json(await drainQueue(req.params.eventId, req.body?.reason));
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/drain failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/flush:
+ *   post:
+ *     summary: 대기열 비우기 (관리자)
+ *     description: 대기 중인 모두(추첨 대기 포함)를 EXPIRED(EVICTED)로 내보낸다. 이미 입장한 사람은 그대로다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 내보낸 인원
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 flushed:
+ *                   type: integer
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.post("/admin/events/:eventId/queue/flush", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const flushed = await flushQueue(eventId);
+    return res.json({ eventId, flushed });
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/flush failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/tokens/{queueToken}/admit:
+ *   post:
+ *     summary: 특정 토큰 바로 입장 (관리자)
+ *     description: 순번, 동시 입장 정원, 입장 주기와 상관없이 대기 중인 토큰을 바로 ADMITTED로 바꾼다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: path
+ *         name: queueToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "q_f59389c651690733dfe705fa"
+ *     responses:
+ *       200:
+ *         description: 입장 처리됨
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queueToken:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "ADMITTED"
+ *                 admissionToken:
+ *                   type: string
+ *       401:
+ *         description: 관리자 키 불일치
+ *       404:
+ *         description: 이 공연의 토큰이 아님 (token_not_found)
+ *       409:
+ *         description: 대기 중이 아님 (token_not_waiting, 추첨 전 포함)
+ */
+router.post("/admin/events/:eventId/queue/tokens/:queueToken/admit", async (req, res) => {
+  try {
+    const { eventId, queueToken } = req.params;
+    const snapshot = await getQueueStatus(queueToken);
+    if (!snapshot || snapshot.eventId !== eventId) return res.status(404).json({ error: "token_not_found" });
+
+    const { status, lane } = snapshot.status;
+    const admissionToken = status === "WAITING" ? await admitToken(eventId, queueToken, lane) : null;
+    if (!admissionToken) return res.status(409).json({ error: "token_not_waiting", status });
+
+    return res.json({ queueToken, status: "ADMITTED", admissionToken });
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/tokens/:queueToken/admit failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/queue/tokens/{queueToken}/evict:
+ *   post:
+ *     summary: 특정 토큰 내보내기 (관리자)
+ *     description: |
+ *       대기 중이면 대기열에서 빼고, 입장 직후(ADMITTED)면 입장권을 회수한다. 토큰은 EXPIRED(EVICTED)가 된다.
+ *       예약 세션이 진행 중인 토큰은 내보낼 수 없다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: path
+ *         name: queueToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "q_f59389c651690733dfe705fa"
+ *     responses:
+ *       200:
+ *         description: 내보냄
+ *       401:
+ *         description: 관리자 키 불일치
+ *       404:
+ *         description: 이 공연의 토큰이 아님 (token_not_found)
+ *       409:
+ *         description: 예약 세션 진행 중 (reservation_in_progress) 또는 이미 끝난 토큰 (token_not_active)
+ */
+router.post("/admin/events/:eventId/queue/tokens/:queueToken/evict", async (req, res) => {
+  try {
+    const { eventId, queueToken } = req.params;
+    const { status, error } = await evictToken(eventId, queueToken);
+    if (error === "token_not_found") return res.status(404).json({ error });
+    if (error) return res.status(409).json({ error, status });
+
+    return res.json({ queueToken, status });
+  } catch (err) {
+    console.error("POST /admin/events/:eventId/queue/tokens/:queueToken/evict failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/broadcast:
+ *   put:
+ *     summary: 대기자 공지 등록 (관리자)
+ *     description: 대기 중인 모두에게 /queue/status의 broadcast와 /queue/stream의 broadcast 이벤트로 보인다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - message
+ *             properties:
+ *               message:
+ *                 type: string
+ *                 example: "결제 시스템 점검으로 입장이 잠시 멈췄습니다."
+ *               ttlSec:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: 이 시간이 지나면 자동으로 내려간다 (없으면 직접 내릴 때까지)
+ *     responses:
+ *       200:
+ *         description: 등록된 공지
+ *       400:
+ *         description: message 누락 또는 ttlSec 오류
+ *       401:
+ *         description: 관리자 키 불일치
+ *   delete:
+ *     summary: 대기자 공지 내리기 (관리자)
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 내림
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.put("/admin/events/:eventId/broadcast", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const { message, ttlSec } = req.body || {};
+    if (typeof message !== "string" || !message.trim()) return res.status(400).json({ error: "message is required" });
+    if (ttlSec !== undefined && !(Number.isInteger(ttlSec) && ttlSec >= 1)) {
+      return res.status(400).json({ error: "invalid_ttlSec" });
+    }
+
+    return res.json({ eventId, broadcast: await setBroadcast(eventId, message.trim(), ttlSec) });
+  } catch (err) {
+    console.error("PUT /admin/events/:eventId/broadcast failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+router.delete("/admin/events/:eventId/broadcast", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    return res.json({ eventId, broadcast: await setBroadcast(eventId, null) });
+  } catch (err) {
+    console.error("DELETE /admin/events/:eventId/broadcast failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/metrics:
+ *   get:
+ *     summary: 대기열 지표 요약 (관리자, 운영 대시보드용)
+ *     description: |
+ *       공연별 현재 대기 인원(레인별), 추첨 대기, 입장 중 인원, 일시정지/진입 차단 여부와
+ *       누적 입장 수, 최근 60초 평균 초당 입장 수, 예약 시작/완료/취소 수, 입장 대비 예매 완료 비율, 만료 사유별 수,
+ *       그리고 /queue/enter 거절 사유별 수를 돌려준다. Prometheus는 /metrics를 쓴다.
+ *     security:
+ *       - adminKey: []
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       eventId:
+ *                         type: string
+ *                       waiting:
+ *                         type: integer
+ *                       lanes:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             lane:
+ *                               type: string
+ *                             size:
+ *                               type: integer
+ *                       lotteryPending:
+ *                         type: integer
+ *                       active:
+ *                         type: integer
+ *                       paused:
+ *                         type: boolean
+ *                       draining:
+ *                         type: boolean
+ *                       admitted:
+ *                         type: integer
+ *                       admissionsPerSec:
+ *                         type: number
+ *                       reservations:
+ *                         type: object
+ *                         properties:
+ *                           started:
+ *                             type: integer
+ *                           completed:
+ *                             type: integer
+ *                           cancelled:
+ *                             type: integer
+ *                       conversionRate:
+ *                         type: number
+ *                         nullable: true
+ *                       expired:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: integer
+ *                 enterRejections:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/metrics", async (req, res) => {
+  try {
+    return res.json(await collectQueueMetrics());
+  } catch (err) {
+    console.error("GET /admin/metrics failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: integer
+ *         action:
+ *           type: string
+ *           enum: [ENTER, ADMIT, RESERVATION_START, COMPLETE, CANCEL, EXPIRE, LEAVE, SOLD_OUT]
+ *         eventId:
+ *           type: string
+ *         userId:
+ *           type: string
+ *           nullable: true
+ *         queueToken:
+ *           type: string
+ *           nullable: true
+ *         reservationId:
+ *           type: string
+ *           nullable: true
+ *         detail:
+ *           type: object
+ *           nullable: true
+ *           description: 종류별 추가 정보 (만료 이유, 레인, 좌석 등)
+ *         occurredAt:
+ *           type: string
+ *           format: date-time
+ *     AuditPage:
+ *       type: object
+ *       properties:
+ *         entries:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AuditEntry'
+ *         nextBefore:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 다음 페이지를 받을 때 before로 넘길 값 (마지막 페이지면 null)
+ *         nextBeforeId:
+ *           type: integer
+ *           nullable: true
+ *           description: 다음 페이지를 받을 때 beforeId로 넘길 값 (마지막 페이지면 null)
+ *   parameters:
+ *     AuditAction:
+ *       in: query
+ *       name: action
+ *       schema:
+ *         type: string
+ *         enum: [ENTER, ADMIT, RESERVATION_START, COMPLETE, CANCEL, EXPIRE, LEAVE, SOLD_OUT]
+ *     AuditBefore:
+ *       in: query
+ *       name: before
+ *       description: 이 시각 이전 기록만 (페이지 넘김, beforeId와 같이 쓰면 같은 시각 기록은 id로 이어 받는다)
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *     AuditBeforeId:
+ *       in: query
+ *       name: beforeId
+ *       description: 이전 페이지 응답의 nextBeforeId (before와 같이)
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *     AuditLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         minimum: 1
+ *         maximum: 500
+ *         default: 100
+ */
+
+// 감사 기록 조회 공통 처리 (최신순, before/beforeId로 페이지 넘김). 기록은 비동기로 들어가므로 몇 초 늦을 수 있다
+async function sendAudit(res, filter, query) {
+  const { action, before, beforeId } = query;
+  if (action && !AUDIT_ACTIONS.includes(action)) return res.status(400).json({ error: "invalid_action" });
+  if (before && Number.isNaN(Date.parse(before))) return res.status(400).json({ error: "invalid_before" });
+  if (beforeId !== undefined && (!before || !/^[1-9]\d*$/.test(beforeId))) {
+    return res.status(400).json({ error: "invalid_beforeId" });
+  }
+
+  const limit = Math.min(Math.max(Number.parseInt(query.limit, 10) || 100, 1), 500);
+  const entries = await queryAudit({ ...filter, action, before, beforeId, limit });
+  const last = entries.length === limit ? entries[entries.length - 1] : null;
+  return res.json({ entries, nextBefore: last?.occurredAt ?? null, nextBeforeId: last?.id ?? null });
+}
+
+/**
+ * @swagger
+ * /admin/events/{eventId}/audit:
+ *   get:
+ *     summary: 공연 대기열/예약 감사 기록 (관리자)
+ *     description: |
+ *       진입, 입장, 예약 시작, 확정, 취소, 만료, 나가기 기록을 최신순으로 돌려준다.
+ *       userId나 queueToken으로 좁힐 수 있다. 기록은 비동기로 저장되므로 몇 초 늦게 보일 수 있다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: queueToken
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditBefore'
+ *       - $ref: '#/components/parameters/AuditBeforeId'
+ *       - $ref: '#/components/parameters/AuditLimit'
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditPage'
+ *       400:
+ *         description: action, before 또는 beforeId 형식 오류 (invalid_action / invalid_before / invalid_beforeId)
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/events/:eventId/audit", async (req, res) => {
+  try {
+    const { userId, queueToken } = req.query;
+    return await sendAudit(res, { eventId: req.params.eventId, userId, queueToken }, req.query);
+  } catch (err) {
+    console.error("GET /admin/events/:eventId/audit failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /admin/users/{userId}/audit:
+ *   get:
+ *     summary: 사용자 대기열/예약 감사 기록 (관리자)
+ *     description: |
+ *       사용자 한 명의 모든 공연 기록을 최신순으로 돌려준다 (문의/분쟁 대응용).
+ *       그 사용자 토큰의 만료 기록도 같이 나온다. eventId로 좁힐 수 있다.
+ *     security:
+ *       - adminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "user-001"
+ *       - in: query
+ *         name: eventId
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AuditAction'
+ *       - $ref: '#/components/parameters/AuditBefore'
+ *       - $ref: '#/components/parameters/AuditBeforeId'
+ *       - $ref: '#/components/parameters/AuditLimit'
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditPage'
+ *       400:
+ *         description: action, before 또는 beforeId 형식 오류 (invalid_action / invalid_before / invalid_beforeId)
+ *       401:
+ *         description: 관리자 키 불일치
+ */
+router.get("/admin/users/:userId/audit", async (req, res) => {
+  try {
+    return await sendAudit(res, { userId: req.params.userId, eventId: req.query.eventId }, req.query);
+  } catch (err) {
+    console.error("GET /admin/users/:userId/audit failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+export default router;
@@ -0,0 +1,529 @@
+import crypto from "crypto";
+import os from "os";
+import { redis } from "./redisClient.js";
+import { getEventConfig } from "./eventConfig.js";
+import { activeKey } from "./activeSessions.js";
+import { publishQueueUpdate } from "./queueStream.js";
+import { STATE_GRACE_SEC, heartbeatKey } from "./queueStatus.js";
+import { defineScript, runScript } from "./scripts.js";
+import { queueKey, laneList, laneSizes } from "./lanes.js";
+import { getEvent } from "./events.js";
+import { drawLotteryIfDue } from "./lottery.js";
+import { isPaused } from "./queueControl.js";
+import { recordAdmitted, recordExpired } from "./metrics.js";
+import { recordAudit } from "./audit.js";
+import { observeThroughput } from "./throughput.js";
+import { checkSoldOut } from "./soldOut.js";
+
+// 입장 처리기는 이 주기로 돌면서, 공연별 정책(intervalMs)이 지난 공연만 batchSize명씩 입장시킨다
+const TICK_MS = Number(process.env.ADMITTER_TICK_MS || 500);
+// 공연별 입장 처리 리스 유지시간. 리스를 가진 인스턴스만 그 공연을 입장시킨다.
+const LEASE_MS = Number(process.env.ADMITTER_LEASE_MS || 5000);
+
+// 여러 백엔드 인스턴스 중 입장 처리기 하나를 구분하는 값 (리스 주인)
+const newInstanceId = () => `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+// Redis Key 설계
+// lock:admitter:{eventId}      = 리스를 가진 INSTANCE_ID (TTL = LEASE_MS)
+// queue:admitted_at:{eventId}  = 마지막 입장 처리 시각 (intervalMs 판단용, 인스턴스 간 공유)
+// queue:lane_credit:{eventId}  = hash(레인 -> 누적 크레딧). RATIO 모드에서 배치가 작아도 비율이 유지되게 배치 사이에 이어 쓴다
+const leaseKey = (eventId) => `lock:admitter:${eventId}`;
+const admittedAtKey = (eventId) => `queue:admitted_at:${eventId}`;
+const laneCreditKey = (eventId) => `queue:lane_credit:${eventId}`;
+// 입장 스크립트가 토큰 하나에 대해 건드리는 키 (메타, 상태, 만료 이유, admissionToken)
+const tokenKeys = (queueToken) => [
+  `queue:token:${queueToken}`, `queue:state:${queueToken}`, `queue:expired:${queueToken}`, `queue:admission:${queueToken}`,
+];
+
+// 리스 획득 또는 연장. 다른 인스턴스가 갖고 있으면 0
+const ACQUIRE_LEASE = defineScript(
+  "acquireLease",
+  `
+local owner = redis.call('GET', KEYS[1])
+if not owner then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return 1
+end
+if owner == ARGV[1] then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+  return 1
+end
+return 0
+`,
+  (store, [key], [instanceId, leaseMs]) => {
+    const owner = store.get(key);
+    if (owner === null) {
+      store.set(key, instanceId, { PX: Number(leaseMs) });
+      return 1;
+    }
+    if (owner === instanceId) {
+      store.pExpire(key, Number(leaseMs));
+      return 1;
+    }
+    return 0;
+  }
+);
+
+// 내 리스일 때만 반납
+const RELEASE_LEASE = defineScript(
+  "releaseLease",
+  `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`,
+  (store, [key], [instanceId]) => (store.get(key) === instanceId ? store.del(key) : 0)
+);
+
+// 한 배치 입장을 한 번에 처리: 주기 확인 → 빈 자리 계산 → 레인 고르기 → 맨 앞 토큰 꺼내기 → 상태/admission 키 저장 → 동시 입장 등록
+// 중간에 죽어도 꺼냈는데 입장 처리 안 된 토큰이 생기지 않는다.
+// 스크립트가 쓰는 키는 모두 KEYS로 받는다. 그래서 호출 전에 레인마다 앞쪽 batchSize개를 읽어 후보 토큰의 키를 넘기고,
+// 그 사이 새로 들어온 (후보가 아닌) 토큰이 레인 맨 앞에 오면 이번 배치는 거기서 끝낸다.
+// KEYS: event:active:{eventId}, queue:admitted_at:{eventId}, queue:heartbeat:{eventId}, queue:lane_credit:{eventId},
+//       레인별 대기열 x 레인 수 (우선순위 순),
+//       (queue:token, queue:state, queue:expired, queue:admission) x 후보 토큰 수,
+//       admission:{admissionToken} x batchSize
+// ARGV: now, intervalMs, batchSize, maxActiveSessions, admissionTtlSec, eventId, STATE_GRACE_SEC,
+//       heartbeatTimeoutMs(0이면 끔), heartbeatAction, laneMode, 레인 수, (레인 이름, 비율) x 레인 수,
+//       후보 토큰 수, 후보 queueToken x 후보 토큰 수, admissionToken 후보 x batchSize
+// 레인 고르기: STRICT면 대기자가 있는 첫 레인, RATIO면 smooth weighted round-robin
+//   (대기자가 있는 레인마다 크레딧 += 비율, 가장 큰 레인을 고르고 그 레인 크레딧 -= 비율 합)
+// 반환: { {queueToken, userId, admissionToken, ...}, {만료된 queueToken, 이유, ...}, 뒤로 보낸 수 }
+// 만료 시각(meta.expiresAt)이 지난 토큰은 입장 대신 EXPIRED(QUEUE_TTL)로 바꾸고,
+// 하트비트가 끊긴 토큰은 heartbeatAction에 따라 EXPIRED(HEARTBEAT_TIMEOUT)로 바꾸거나 맨 뒤로 보낸다.
+const ADMIT_BATCH = defineScript(
+  "admitBatch",
+  `
+local now = tonumber(ARGV[1])
+local intervalMs = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local maxActive = tonumber(ARGV[4])
+local ttl = tonumber(ARGV[5])
+local eventId = ARGV[6]
+local grace = tonumber(ARGV[7])
+local heartbeatTimeout = tonumber(ARGV[8])
+local heartbeatAction = ARGV[9]
+local laneMode = ARGV[10]
+local laneCount = tonumber(ARGV[11])
+local candidateCount = tonumber(ARGV[12 + laneCount * 2])
+local candidates = 12 + laneCount * 2 + candidateCount
+local admissionKeys = 4 + laneCount + candidateCount * 4
+
+-- 후보 토큰 -> 그 토큰 키 4개의 KEYS 시작 위치
+local tokenKeys = {}
+for j = 1, candidateCount do
+  tokenKeys[ARGV[12 + laneCount * 2 + j]] = 4 + laneCount + (j - 1) * 4
+end
+
+local last = tonumber(redis.call('GET', KEYS[2]) or '0')
+if now - last < intervalMs then
+  return { {}, {}, 0 }
+end
+redis.call('SET', KEYS[2], ARGV[1], 'PX', intervalMs * 10)
+
+-- 만료된 자리는 세지 않는다 (정리는 sweeper가 EXPIRED 처리와 함께)
+if maxActive > 0 then
+  local free = maxActive - redis.call('ZCOUNT', KEYS[1], '(' .. ARGV[1], '+inf')
+  if free < limit then limit = free end
+end
+
+local lanes = {}
+for j = 1, laneCount do
+  local name = ARGV[10 + j * 2]
+  lanes[j] = {
+    key = KEYS[4 + j],
+    name = name,
+    weight = tonumber(ARGV[11 + j * 2]),
+    credit = tonumber(redis.call('HGET', KEYS[4], name) or '0'),
+  }
+end
+
+local function pickLane()
+  local best = nil
+  local total = 0
+  for _, lane in ipairs(lanes) do
+    if redis.call('ZCARD', lane.key) > 0 then
+      if laneMode == 'STRICT' then return lane end
+      lane.credit = lane.credit + lane.weight
+      total = total + lane.weight
+      if not best or lane.credit > best.credit then best = lane end
+    end
+  end
+  if best then best.credit = best.credit - total end
+  return best
+end
+
+local function expire(k, reason)
+  redis.call('SET', KEYS[k + 2], 'EXPIRED', 'EX', grace)
+  redis.call('SET', KEYS[k + 3], reason, 'EX', grace)
+end
+
+local admitted = {}
+local expired = {}
+local moved = 0
+for i = 1, limit do
+  local lane = pickLane()
+  if not lane then break end
+  local queueToken = redis.call('ZRANGE', lane.key, 0, 0)[1]
+  local k = tokenKeys[queueToken]
+  if not k then break end
+  redis.call('ZREM', lane.key, queueToken)
+
+  local metaJson = redis.call('GET', KEYS[k + 1])
+  local meta = metaJson and cjson.decode(metaJson)
+  local lastSeen = heartbeatTimeout > 0 and redis.call('ZSCORE', KEYS[3], queueToken)
+  local stale = lastSeen and tonumber(lastSeen) < now - heartbeatTimeout
+
+  if not meta or (meta.expiresAt and tonumber(meta.expiresAt) <= now) then
+    if meta then
+      expire(k, 'QUEUE_TTL')
+    else
+      redis.call('DEL', KEYS[k + 2])
+    end
+    redis.call('ZREM', KEYS[3], queueToken)
+    table.insert(expired, queueToken)
+    table.insert(expired, 'QUEUE_TTL')
+  elseif stale and heartbeatAction == 'DEPRIORITIZE' then
+    redis.call('ZADD', lane.key, now, queueToken)
+    moved = moved + 1
+  elseif stale then
+    expire(k, 'HEARTBEAT_TIMEOUT')
+    redis.call('ZREM', KEYS[3], queueToken)
+    table.insert(expired, queueToken)
+    table.insert(expired, 'HEARTBEAT_TIMEOUT')
+  else
+    local userId = tostring(meta.userId)
+    local admissionToken = ARGV[candidates + i]
+    redis.call('SET', KEYS[k + 2], 'ADMITTED', 'EX', ttl + grace)
+    redis.call('SET', KEYS[k + 4], admissionToken, 'EX', ttl)
+    redis.call('SET', KEYS[admissionKeys + i],
+      cjson.encode({ queueToken = queueToken, userId = userId, eventId = eventId, admittedAt = now }),
+      'EX', ttl)
+    redis.call('ZADD', KEYS[1], now + ttl * 1000, queueToken)
+    redis.call('ZREM', KEYS[3], queueToken)
+    table.insert(admitted, queueToken)
+    table.insert(admitted, userId)
+    table.insert(admitted, admissionToken)
+  end
+end
+
+if laneMode ~= 'STRICT' then
+  for _, lane in ipairs(lanes) do
+    redis.call('HSET', KEYS[4], lane.name, lane.credit)
+  end
+end
+
+return { admitted, expired, moved }
+`,
+  (store, keys, args) => {
+    const [now, intervalMs, batchSize, maxActive, ttl] = args.slice(0, 5).map(Number);
+    const eventId = args[5];
+    const grace = Number(args[6]);
+    const heartbeatTimeout = Number(args[7]);
+    const [heartbeatAction, laneMode] = [args[8], args[9]];
+    const laneCount = Number(args[10]);
+    const candidateCount = Number(args[11 + laneCount * 2]);
+    const candidates = args.slice(12 + laneCount * 2 + candidateCount);
+    const admissionKeys = keys.slice(4 + laneCount + candidateCount * 4);
+    const [activeKey, admittedAtKey, heartbeatKey, creditKey] = keys;
+
+    const tokenKeys = new Map(
+      args.slice(12 + laneCount * 2, 12 + laneCount * 2 + candidateCount).map((queueToken, j) => {
+        const k = 4 + laneCount + j * 4;
+        return [queueToken, { metaKey: keys[k], stateKey: keys[k + 1], expiredKey: keys[k + 2], admissionKey: keys[k + 3] }];
+      })
+    );
+
+    const last = Number(store.get(admittedAtKey) ?? 0);
+    if (now - last < intervalMs) return [[], [], 0];
+    store.set(admittedAtKey, args[0], { PX: intervalMs * 10 });
+
+    let limit = batchSize;
+    if (maxActive > 0) limit = Math.min(limit, maxActive - store.zCount(activeKey, `(${now}`, "+inf"));
+
+    const lanes = Array.from({ length: laneCount }, (_, j) => ({
+      key: keys[4 + j],
+      name: args[11 + j * 2],
+      weight: Number(args[12 + j * 2]),
+      credit: Number(store.hGet(creditKey, args[11 + j * 2]) ?? 0),
+    }));
+
+    const pickLane = () => {
+      let best = null;
+      let total = 0;
+      for (const lane of lanes) {
+        if (store.zCard(lane.key) === 0) continue;
+        if (laneMode === "STRICT") return lane;
+        lane.credit += lane.weight;
+        total += lane.weight;
+        if (!best || lane.credit > best.credit) best = lane;
+      }
+      if (best) best.credit -= total;
+      return best;
+    };
+
+    const expire = ({ stateKey, expiredKey }, reason) => {
+      store.set(stateKey, "EXPIRED", { EX: grace });
+      store.set(expiredKey, reason, { EX: grace });
+    };
+
+    const admitted = [];
+    const expired = [];
+    let moved = 0;
+    for (let i = 0; i < limit; i++) {
+      const lane = pickLane();
+      if (!lane) break;
+      const [queueToken] = store.zRange(lane.key, 0, 0);
+      const k = tokenKeys.get(queueToken);
+      if (!k) break;
+      store.zRem(lane.key, queueToken);
+
+      const metaJson = store.get(k.metaKey);
+      const meta = metaJson && JSON.parse(metaJson);
+      const lastSeen = heartbeatTimeout > 0 ? store.zScore(heartbeatKey, queueToken) : null;
+      const stale = lastSeen !== null && lastSeen < now - heartbeatTimeout;
+
+      if (!meta || (meta.expiresAt && Number(meta.expiresAt) <= now)) {
+        if (meta) expire(k, "QUEUE_TTL");
+        else store.del(k.stateKey);
+        store.zRem(heartbeatKey, queueToken);
+        expired.push(queueToken, "QUEUE_TTL");
+      } else if (stale && heartbeatAction === "DEPRIORITIZE") {
+        store.zAdd(lane.key, { score: now, value: queueToken });
+        moved++;
+      } else if (stale) {
+        expire(k, "HEARTBEAT_TIMEOUT");
+        store.zRem(heartbeatKey, queueToken);
+        expired.push(queueToken, "HEARTBEAT_TIMEOUT");
+      } else {
+        const userId = String(meta.userId);
+        const admissionToken = candidates[i];
+        store.set(k.stateKey, "ADMITTED", { EX: ttl + grace });
+        store.set(k.admissionKey, admissionToken, { EX: ttl });
+        store.set(admissionKeys[i], JSON.stringify({ queueToken, userId, eventId, admittedAt: now }), { EX: ttl });
+        store.zAdd(activeKey, { score: now + ttl * 1000, value: queueToken });
+        store.zRem(heartbeatKey, queueToken);
+        admitted.push(queueToken, userId, admissionToken);
+      }
+    }
+
+    if (laneMode !== "STRICT") {
+      for (const lane of lanes) store.hSet(creditKey, lane.name, lane.credit);
+    }
+    return [admitted, expired, moved];
+  }
+);
+
+// 관리자 수동 입장: 순번/정원/주기와 상관없이 대기 중 토큰 하나를 바로 입장시킨다
+// KEYS: 레인 대기열, event:active:{eventId}, queue:heartbeat:{eventId},
+//       queue:token:{queueToken}, queue:state:{queueToken}, queue:admission:{queueToken}, admission:{admissionToken}
+// ARGV: queueToken, now, admissionTtlSec, eventId, STATE_GRACE_SEC, admissionToken
+// 반환: userId, 대기 중이 아니면 nil
+const ADMIT_TOKEN = defineScript(
+  "admitToken",
+  `
+if redis.call('ZREM', KEYS[1], ARGV[1]) == 0 then return nil end
+local metaJson = redis.call('GET', KEYS[4])
+if not metaJson then return nil end
+
+local queueToken = ARGV[1]
+local now = tonumber(ARGV[2])
+local ttl = tonumber(ARGV[3])
+local userId = tostring(cjson.decode(metaJson).userId)
+redis.call('SET', KEYS[5], 'ADMITTED', 'EX', ttl + tonumber(ARGV[5]))
+redis.call('SET', KEYS[6], ARGV[6], 'EX', ttl)
+redis.call('SET', KEYS[7],
+  cjson.encode({ queueToken = queueToken, userId = userId, eventId = ARGV[4], admittedAt = now }),
+  'EX', ttl)
+redis.call('ZADD', KEYS[2], now + ttl * 1000, queueToken)
+redis.call('ZREM', KEYS[3], queueToken)
+return userId
+`,
+  (
+    store,
+    [laneKey, activeKey, heartbeatKey, metaKey, stateKey, tokenAdmissionKey, admissionKey],
+    [queueToken, now, ttl, eventId, grace, admissionToken]
+  ) => {
+    if (store.zRem(laneKey, queueToken) === 0) return null;
+    const metaJson = store.get(metaKey);
+    if (!metaJson) return null;
+
+    const userId = String(JSON.parse(metaJson).userId);
+    store.set(stateKey, "ADMITTED", { EX: Number(ttl) + Number(grace) });
+    store.set(tokenAdmissionKey, admissionToken, { EX: Number(ttl) });
+    store.set(
+      admissionKey,
+      JSON.stringify({ queueToken, userId, eventId, admittedAt: Number(now) }),
+      { EX: Number(ttl) }
+    );
+    store.zAdd(activeKey, { score: Number(now) + Number(ttl) * 1000, value: queueToken });
+    store.zRem(heartbeatKey, queueToken);
+    return userId;
+  }
+);
+
+// 대기열 앞에서 최대 batchSize명을 꺼내 ADMITTED로 바꾸고 admissionToken을 발급한다
+// maxActiveSessions가 있으면 빈 자리만큼만 입장시킨다 (확정/취소/TTL 만료로 자리가 빈다)
+// 대기열 앞에서 빠진 인원(입장 + 만료)을 돌려준다
+async function admitEvent(eventId, config) {
+  const { intervalMs, batchSize, admissionTtlSec, maxActiveSessions, heartbeatTimeoutSec, heartbeatAction, laneMode } = config;
+  const lanes = laneList(config);
+  const laneKeys = lanes.map(({ lane }) => queueKey(eventId, lane));
+  const candidates = Array.from({ length: batchSize }, () => "a_" + crypto.randomBytes(10).toString("hex"));
+  // 이번 배치에서 꺼낼 수 있는 토큰은 레인마다 앞쪽 batchSize개뿐이다
+  const queueTokens = (await Promise.all(laneKeys.map((key) => redis.zRange(key, 0, batchSize - 1)))).flat();
+
+  const [admitted, expired, moved] = await runScript(
+    ADMIT_BATCH,
+    [
+      activeKey(eventId), admittedAtKey(eventId), heartbeatKey(eventId), laneCreditKey(eventId), ...laneKeys,
+      ...queueTokens.flatMap(tokenKeys), ...candidates.map((admissionToken) => `admission:${admissionToken}`),
+    ],
+    [
+      Date.now(), intervalMs, batchSize, maxActiveSessions, admissionTtlSec, eventId, STATE_GRACE_SEC,
+      heartbeatTimeoutSec * 1000, heartbeatAction, laneMode, lanes.length,
+      ...lanes.flatMap(({ lane, weight }) => [lane, weight]), queueTokens.length, ...queueTokens, ...candidates,
+    ]
+  );
+
+  for (let i = 0; i < expired.length; i += 2) {
+    const [queueToken, reason] = expired.slice(i, i + 2);
+    await publishQueueUpdate({ type: "EXPIRED", eventId, queueToken, reason });
+    await recordExpired(eventId, reason);
+    recordAudit({ action: "EXPIRE", eventId, queueToken, detail: { reason } });
+  }
+  await recordAdmitted(eventId, admitted.length / 3);
+
+  for (let i = 0; i < admitted.length; i += 3) {
+    const [queueToken, userId, admissionToken] = admitted.slice(i, i + 3);
+    await publishQueueUpdate({ type: "ADMITTED", eventId, queueToken, admissionToken });
+    recordAudit({ action: "ADMIT", eventId, userId, queueToken, detail: { admissionToken } });
+    console.log(`[ADMIT] event=${eventId} token=${queueToken} user=${userId} admission=${admissionToken}`);
+  }
+
+  // 남은 대기자들 순번이 바뀌었음을 모든 인스턴스에 알림
+  if (admitted.length > 0 || Number(moved) > 0) await publishQueueUpdate({ type: "ADVANCED", eventId });
+  return admitted.length / 3 + expired.length / 2;
+}
+
+// 대기 중(레인 대기열에 있는) 토큰이면 입장시키고 admissionToken, 아니면 null
+export async function admitToken(eventId, queueToken, lane) {
+  const { admissionTtlSec } = await getEventConfig(eventId);
+  const admissionToken = "a_" + crypto.randomBytes(10).toString("hex");
+  const userId = await runScript(
+    ADMIT_TOKEN,
+    [
+      queueKey(eventId, lane), activeKey(eventId), heartbeatKey(eventId),
+      `queue:token:${queueToken}`, `queue:state:${queueToken}`, `queue:admission:${queueToken}`, `admission:${admissionToken}`,
+    ],
+    [queueToken, Date.now(), admissionTtlSec, eventId, STATE_GRACE_SEC, admissionToken]
+  );
+  if (userId === null) return null;
+
+  await recordAdmitted(eventId);
+  recordAudit({ action: "ADMIT", eventId, userId, queueToken, detail: { admissionToken, manual: true } });
+  await publishQueueUpdate({ type: "ADMITTED", eventId, queueToken, admissionToken });
+  await publishQueueUpdate({ type: "ADVANCED", eventId });
+  console.log(`[ADMIT] event=${eventId} token=${queueToken} user=${userId} admission=${admissionToken} (manual)`);
+  return admissionToken;
+}
+
+// 추첨할 게 없거나 추첨을 마쳤으면 true
+async function drawLottery(eventId) {
+  try {
+    const event = await getEvent(eventId);
+    if (!event) return true;
+    const drawn = await drawLotteryIfDue(event);
+    if (drawn > 0) await publishQueueUpdate({ type: "ADVANCED", eventId });
+    return true;
+  } catch (e) {
+    console.error(`lottery draw failed for event=${eventId}:`, e);
+    return false;
+  }
+}
+
+// 입장 처리기. 인스턴스마다 리스 주인 id, 리스를 가진 공연, 진행 중인 배치를 따로 가진다
+//   tick()  : 한 번 돌린다 (실행 중인 배치가 있으면 그 작업을 기다린다, 겹쳐 돌지 않음)
+//   start() : tickMs마다 tick
+//   stop()  : 새 배치는 멈추고, 진행 중인 배치가 끝나면 다른 인스턴스가 바로 이어받게 리스를 반납한다
+// 테스트에서는 start 없이 tick만 불러 한 배치씩 돌린다
+export function createAdmitter({ tickMs = TICK_MS, instanceId = newInstanceId() } = {}) {
+  let current = null;
+  let timer = null;
+  const ownedEvents = new Set();
+
+  async function acquireLease(eventId) {
+    const ok = Number(await runScript(ACQUIRE_LEASE, [leaseKey(eventId)], [instanceId, LEASE_MS])) === 1;
+    if (ok) ownedEvents.add(eventId);
+    else ownedEvents.delete(eventId);
+    return ok;
+  }
+
+  async function runOnce() {
+    try {
+      const eventIds = await redis.sMembers("queue:events");
+      if (!eventIds.length) return;
+
+      for (const eventId of eventIds) {
+        if (!(await acquireLease(eventId))) continue;
+
+        // 오픈 시각이 지났으면 추첨부터. 추첨이 끝나기 전에는 오픈 뒤 진입자를 먼저 입장시키지 않는다
+        if (!(await drawLottery(eventId))) continue;
+
+        // 처리 속도는 틱마다 기록한다 (예상 대기시간용, throughput.js)
+        // 관리자가 일시정지한 공연은 입장시키지 않고 속도 0으로 기록
+        const config = await getEventConfig(eventId);
+        if (await isPaused(eventId)) {
+          await observeThroughput(eventId, config, 0);
+          continue;
+        }
+
+        // 대기자가 없으면 속도를 잴 수 없다
+        const sizes = await laneSizes(eventId, config);
+        if (sizes.every(({ size }) => size === 0)) {
+          await observeThroughput(eventId, config, 0, { idle: true });
+          continue;
+        }
+
+        // 남은 좌석이 없으면 입장시키지 않는다 (판매가 끝났으면 대기자를 SOLD_OUT으로, soldOut.js)
+        if (await checkSoldOut(eventId, config)) {
+          await observeThroughput(eventId, config, 0);
+          continue;
+        }
+
+        await observeThroughput(eventId, config, await admitEvent(eventId, config));
+      }
+    } catch (e) {
+      console.error("admitter tick failed:", e);
+    }
+  }
+
+  function tick() {
+    if (!current) current = runOnce().finally(() => (current = null));
+    return current;
+  }
+
+  async function releaseLeases() {
+    for (const eventId of ownedEvents) {
+      await runScript(RELEASE_LEASE, [leaseKey(eventId)], [instanceId]);
+    }
+    ownedEvents.clear();
+  }
+
+  return {
+    instanceId,
+    tick,
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, tickMs);
+      tick();
+    },
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await current;
+      await releaseLeases();
+    },
+  };
+}
@@ -0,0 +1,49 @@
+import express from "express";
+import cors from "cors";
+import router from "./routes.js";
+import adminRouter from "./adminRoutes.js";
+
+import swaggerUi from "swagger-ui-express";
+import { swaggerSpec } from "./swagger.js";
+import { httpMetrics, renderMetrics, metricsContentType } from "./metrics.js";
+
+// Express 앱 구성만 한다 (Redis/DB 연결, 입장 처리기 시작, listen은 server.js)
+// 테스트에서는 이 앱을 그대로 띄운다
+export function createApp() {
+  const app = express();
+
+  // 프록시(nginx, 로드밸런서) 뒤에서 IP별 요청 제한이 실제 클라이언트 IP를 보도록 (예: TRUST_PROXY=1)
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+  }
+
+  //frontend 
+  const allowOrigin = process.env.FRONTEND_ORIGIN || "*";
+  app.use(cors({
+    origin: allowOrigin,
+    credentials: false,
+  }));
+
+  app.use(express.json());
+  app.use(httpMetrics);
+
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+  app.get("/health", (req, res) => res.json({ status: "ok" }));
+
+  // Prometheus 수집용 (공연별 대기 인원/초당 입장/전환율/만료/진입 거절 + 라우트별 응답시간)
+  app.get("/metrics", async (req, res) => {
+    try {
+      res.set("Content-Type", metricsContentType);
+      return res.send(await renderMetrics());
+    } catch (err) {
+      console.error("GET /metrics failed:", err);
+      return res.status(500).end();
+    }
+  });
+
+  app.use(router);
+  app.use(adminRouter);
+
+  return app;
+}
@@ -0,0 +1,166 @@
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+
+// 대기열/예약 상태 변화 감사 기록 (queue_audit_log 테이블)
+// 대기열 상태는 Redis TTL로 사라지므로 판매가 끝난 뒤 "언제 들어왔고 언제 입장했고 예매했는지"를 여기서 찾는다.
+// 요청/입장 처리 중에는 Redis 목록에 쌓기만 하고 (DB를 기다리지 않음), 기록기가 주기적으로 모아서 넣는다.
+//
+// audit:pending = list(JSON 기록). 왼쪽으로 넣고 오른쪽(오래된 것)부터 꺼낸다
+// audit:dead    = list(JSON 기록). 기록 자체가 잘못돼 DB에 넣을 수 없는 것 (운영자가 고쳐서 audit:pending으로 되돌린다)
+const PENDING_KEY = "audit:pending";
+const DEAD_KEY = "audit:dead";
+
+// 기록 종류
+export const AUDIT_ACTIONS = ["ENTER", "ADMIT", "RESERVATION_START", "COMPLETE", "CANCEL", "EXPIRE", "LEAVE", "SOLD_OUT"];
+
+const FLUSH_INTERVAL_MS = Number(process.env.AUDIT_FLUSH_INTERVAL_MS || 1000);
+// 한 번에 DB에 넣는 기록 수
+const FLUSH_BATCH = 500;
+
+// 기록 실패로 요청/입장 처리를 막지 않는다 (기다리지 않아도 된다)
+// { action, eventId, userId?, queueToken?, reservationId?, detail? }
+export function recordAudit({ action, eventId, userId = null, queueToken = null, reservationId = null, detail = null }) {
+  const entry = JSON.stringify({ action, eventId, userId, queueToken, reservationId, detail, at: Date.now() });
+  return redis.lPush(PENDING_KEY, entry).catch((err) => console.error("audit record failed:", err));
+}
+
+async function insertEntries(entries) {
+  const columns = (e) => [
+    e.action,
+    e.eventId,
+    e.userId,
+    e.queueToken,
+    e.reservationId,
+    e.detail ? JSON.stringify(e.detail) : null,
+    new Date(e.at).toISOString(),
+  ];
+  const rows = entries.map((_, i) => `(${Array.from({ length: 7 }, (_, j) => `$${i * 7 + j + 1}`).join(", ")})`);
+  await pool.query(
+    `INSERT INTO queue_audit_log (action, event_id, user_id, queue_token, reservation_id, detail, occurred_at)
+     VALUES ${rows.join(", ")}`,
+    entries.flatMap(columns)
+  );
+}
+
+// 다시 넣어도 계속 실패할 기록인지: 값 오류(SQLSTATE 22xxx)/제약 위반(23xxx), 시각이 잘못된 기록
+const isBadEntry = (err) => err instanceof RangeError || /^2[23]/.test(err.code ?? "");
+
+function parseEntry(json) {
+  try {
+    return JSON.parse(json);
+  } catch {
+    return null;
+  }
+}
+
+// 쌓인 기록을 DB로 옮긴다. 꺼낸 수
+// DB 오류(연결 끊김 등)면 꺼낸 기록을 다시 오른쪽 끝에 돌려놓아 다음 주기에 같은 순서로 재시도한다.
+// 잘못된 기록 때문에 실패했으면 하나씩 넣어 보고 그 기록만 audit:dead로 옮긴다 (한 건이 기록 전체를 막지 않게)
+async function flushBatch() {
+  const raw = await redis.rPopCount(PENDING_KEY, FLUSH_BATCH);
+  if (!raw?.length) return 0;
+
+  const dead = raw.filter((json) => !parseEntry(json));
+  const valid = raw.filter((json) => !dead.includes(json));
+  try {
+    if (valid.length) await insertEntries(valid.map(parseEntry));
+  } catch (err) {
+    if (!isBadEntry(err)) {
+      await redis.rPush(PENDING_KEY, [...valid].reverse());
+      throw err;
+    }
+    for (const [i, json] of valid.entries()) {
+      try {
+        await insertEntries([parseEntry(json)]);
+      } catch (entryErr) {
+        if (!isBadEntry(entryErr)) {
+          await redis.rPush(PENDING_KEY, valid.slice(i).reverse());
+          throw entryErr;
+        }
+        dead.push(json);
+      }
+    }
+  } finally {
+    if (dead.length) {
+      await redis.lPush(DEAD_KEY, dead);
+      console.error(`audit: ${dead.length} entries moved to ${DEAD_KEY}`);
+    }
+  }
+  return raw.length;
+}
+
+let current = null;
+
+async function runOnce() {
+  try {
+    while ((await flushBatch()) === FLUSH_BATCH);
+  } catch (e) {
+    console.error("audit flush failed:", e);
+  }
+}
+
+// 실행 중인 기록이 있으면 그 작업을 기다린다 (겹쳐 돌지 않음)
+export function flushAudit() {
+  if (!current) current = runOnce().finally(() => (current = null));
+  return current;
+}
+
+// API 서버와 worker 어디서 돌아도 된다 (RPOP으로 나눠 가지므로 같은 기록을 두 번 넣지 않는다)
+export function startAuditFlusher() {
+  return setInterval(flushAudit, FLUSH_INTERVAL_MS);
+}
+
+// 남은 기록을 한 번 더 넣고 멈춘다
+export async function stopAuditFlusher(timer) {
+  clearInterval(timer);
+  await current;
+  await flushAudit();
+}
+
+// 감사 기록 조회 (최신순). eventId/userId/queueToken 중 하나 이상
+// userId로 찾으면 그 사용자 토큰의 기록(만료처럼 userId 없이 남은 것 포함)을 같이 돌려준다
+// 정렬 (occurredAt, id) 기준으로 (before, beforeId)보다 앞선 기록만 -> 다음 페이지는 마지막 기록의 occurredAt/id를 넘긴다
+// (같은 시각 기록이 여럿이어도 id로 이어 받으므로 페이지 사이에서 빠지지 않는다. beforeId 없이 before만 오면 그 시각 이전만)
+export async function queryAudit({ eventId, userId, queueToken, action, before, beforeId, limit }) {
+  const where = [];
+  const params = [];
+  const param = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (eventId) where.push(`event_id = ${param(eventId)}`);
+  if (userId) {
+    const p = param(userId);
+    where.push(
+      `(user_id = ${p} OR queue_token IN (SELECT queue_token FROM queue_audit_log WHERE user_id = ${p} AND action = 'ENTER'))`
+    );
+  }
+  if (queueToken) where.push(`queue_token = ${param(queueToken)}`);
+  if (action) where.push(`action = ${param(action)}`);
+  if (before && beforeId) {
+    const [at, id] = [param(before), param(beforeId)];
+    where.push(`(occurred_at < ${at} OR (occurred_at = ${at} AND id < ${id}))`);
+  } else if (before) {
+    where.push(`occurred_at < ${param(before)}`);
+  }
+
+  const r = await pool.query(
+    `SELECT id, action, event_id, user_id, queue_token, reservation_id, detail, occurred_at
+     FROM queue_audit_log
+     WHERE ${where.join(" AND ")}
+     ORDER BY occurred_at DESC, id DESC
+     LIMIT ${param(limit)}`,
+    params
+  );
+  return r.rows.map((row) => ({
+    id: Number(row.id),
+    action: row.action,
+    eventId: row.event_id,
+    userId: row.user_id,
+    queueToken: row.queue_token,
+    reservationId: row.reservation_id,
+    detail: row.detail,
+    occurredAt: new Date(row.occurred_at).toISOString(),
+  }));
+}
@@ -0,0 +1,116 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { redis } from "./redisClient.js";
+
+const ACCESS_TOKEN_TTL_SEC = Number(process.env.JWT_ACCESS_TTL_SEC || 15 * 60);
+const REFRESH_TOKEN_TTL_SEC = Number(process.env.JWT_REFRESH_TTL_SEC || 14 * 24 * 60 * 60);
+
+// Redis Key 설계
+// auth:revoked:{jti} = 로그아웃/재발급으로 폐기된 토큰 (TTL = 토큰 남은 유효시간)
+const revokedKey = (jti) => `auth:revoked:${jti}`;
+
+function secret() {
+  const s = process.env.JWT_SECRET;
+  if (!s) throw new Error("JWT_SECRET is not set");
+  return s;
+}
+
+function sign(user, typ, expiresIn) {
+  return jwt.sign(
+    { typ, provider: user.auth_provider },
+    secret(),
+    { subject: String(user.id), expiresIn, jwtid: crypto.randomBytes(12).toString("hex") }
+  );
+}
+
+// access/refresh 토큰 한 쌍 발급
+export function issueTokens(user) {
+  return {
+    tokenType: "Bearer",
+    accessToken: sign(user, "access", ACCESS_TOKEN_TTL_SEC),
+    refreshToken: sign(user, "refresh", REFRESH_TOKEN_TTL_SEC),
+    expiresInSec: ACCESS_TOKEN_TTL_SEC,
+  };
+}
+
+// 서명/만료/타입/폐기 여부까지 확인. 실패하면 null
+async function verify(token, typ) {
+  let payload;
+  try {
+    payload = jwt.verify(token, secret());
+  } catch {
+    return null;
+  }
+  if (payload.typ !== typ) return null;
+  if (await redis.exists(revokedKey(payload.jti))) return null;
+  return payload;
+}
+
+// 폐기 목록에 올린다. 이미 다른 요청이 폐기했으면 false
+async function revoke(payload) {
+  const ttlSec = Math.max(payload.exp - Math.floor(Date.now() / 1000), 1);
+  return (await redis.set(revokedKey(payload.jti), "1", { NX: true, EX: ttlSec })) === "OK";
+}
+
+// refresh 토큰으로 새 토큰 쌍 발급 (쓴 refresh 토큰은 폐기 = rotation). 실패하면 null
+// 같은 refresh 토큰으로 동시에 들어와도 폐기를 먼저 잡은 요청 하나만 발급받는다
+export async function refreshTokens(refreshToken) {
+  const payload = await verify(refreshToken, "refresh");
+  if (!payload) return null;
+
+  if (!(await revoke(payload))) return null;
+  return issueTokens({ id: payload.sub, auth_provider: payload.provider });
+}
+
+// 로그아웃: 넘어온 토큰들을 폐기 목록에 올린다
+export async function revokeTokens({ accessToken, refreshToken }) {
+  const targets = [
+    accessToken && (await verify(accessToken, "access")),
+    refreshToken && (await verify(refreshToken, "refresh")),
+  ].filter(Boolean);
+
+  for (const payload of targets) await revoke(payload);
+  return targets.length;
+}
+
+export function bearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+// access 토큰 검증. 성공하면 { id, provider }, 실패하면 null
+export async function authenticate(accessToken) {
+  const payload = await verify(accessToken, "access");
+  return payload ? { id: payload.sub, provider: payload.provider } : null;
+}
+
+// Authorization: Bearer <accessToken> 검증 후 req.user = { id, provider }
+export async function requireAuth(req, res, next) {
+  try {
+    const token = bearerToken(req);
+    if (!token) return res.status(401).json({ error: "missing_access_token" });
+
+    const user = await authenticate(token);
+    if (!user) return res.status(401).json({ error: "invalid_or_expired_access_token" });
+
+    req.user = user;
+    return next();
+  } catch (err) {
+    console.error("requireAuth failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+}
+
+// 관리자 API: x-admin-key 헤더가 ADMIN_API_KEY와 같아야 한다
+export function requireAdmin(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) return res.status(503).json({ error: "admin_api_disabled" });
+
+  const given = Buffer.from(String(req.headers["x-admin-key"] || ""));
+  const want = Buffer.from(expected);
+  if (given.length !== want.length || !crypto.timingSafeEqual(given, want)) {
+    return res.status(401).json({ error: "invalid_admin_key" });
+  }
+  return next();
+}
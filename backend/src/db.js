@@ -1,7 +1,7 @@
 import pg from "pg";
 const { Pool } = pg;
 
-export const pool = new Pool({
+export let pool = new Pool({
 	host: process.env.DB_HOST,
 	port: Number(process.env.DB_PORT || 5432),
 	user: process.env.DB_USER,
@@ -18,4 +18,9 @@ pool.on("connect", () => {
 
 pool.on("error", (err) => {
   console.error("PostgreSQL pool error", err);
-});
\ No newline at end of file
+});
+
+// 다른 pool로 바꾼다 (테스트에서 pg-mem 등). 모듈들은 pool을 쓸 때마다 읽으므로 바로 반영된다
+export function setPool(next) {
+  pool = next;
+}
\ No newline at end of file
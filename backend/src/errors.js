@@ -0,0 +1,13 @@
+// 라우트에서 그대로 { error: code } 응답으로 바꿔 보내는 에러
+export class ApiError extends Error {
+  constructor(status, code, details) {
+    super(code);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function sendApiError(res, err) {
+  return res.status(err.status).json({ error: err.code, ...err.details });
+}
@@ -0,0 +1,142 @@
+import { redis } from "./redisClient.js";
+import { DEFAULT_LANE, queueKey, laneList } from "./lanes.js";
+
+// 공연별 대기열 정책. Redis hash event:config:{eventId}에 저장하고, 없는 값은 기본값을 쓴다.
+// 운영 중에 관리자 API로 바꿀 수 있다.
+const configKey = (eventId) => `event:config:${eventId}`;
+
+// 재진입 정책
+// KEEP    : 기존 토큰과 자리를 그대로 돌려준다
+// REQUEUE : 기존 토큰을 대기열 맨 뒤로 보낸다
+const REENTRY_POLICIES = ["KEEP", "REQUEUE"];
+
+// 하트비트가 끊긴 대기자 처리
+// DROP         : 대기열에서 빼고 EXPIRED(HEARTBEAT_TIMEOUT)
+// DEPRIORITIZE : 대기열 맨 뒤로 보낸다
+const HEARTBEAT_ACTIONS = ["DROP", "DEPRIORITIZE"];
+
+// 레인을 섞는 방식
+// RATIO  : lanes의 비율대로 번갈아 입장
+// STRICT : 앞 레인이 빌 때까지 앞 레인만 입장
+const LANE_MODES = ["RATIO", "STRICT"];
+const LANE_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+
+// "presale:3,general:1" 형식. 레인 이름 중복 불가, general은 반드시 포함. 정규화한 문자열을 돌려준다
+function parseLanes(v) {
+  const lanes = String(v).split(",").map((part) => part.trim().split(":"));
+  const names = lanes.map(([lane]) => lane);
+  const valid =
+    lanes.every(([lane, weight, ...rest]) => LANE_NAME.test(lane) && int(1)(weight ?? 1) !== undefined && !rest.length) &&
+    new Set(names).size === names.length &&
+    names.includes(DEFAULT_LANE);
+  return valid ? lanes.map(([lane, weight]) => `${lane}:${Number(weight ?? 1)}`).join(",") : undefined;
+}
+
+// 이보다 높으면 정상 사용자도 못 푼다
+const MAX_POW_DIFFICULTY = 32;
+
+const bool = (v) => (v === true || v === "true" ? true : v === false || v === "false" ? false : undefined);
+
+// min 이상의 정수만 허용
+const int = (min) => (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n >= min ? n : undefined;
+};
+
+// 필드별 파서: 올바르지 않으면 undefined
+// batchSize/intervalMs       : intervalMs마다 batchSize명 입장 (입장 처리기와 예상 대기시간이 같이 쓴다)
+// admissionTtlSec            : 입장 후 /reservation/start 까지 유효시간
+// reservationTtlSec          : 예약 세션(좌석 선점) 유효시간
+// queueTokenTtlSec           : 대기열 토큰 유효시간
+// maxActiveSessions          : 동시에 입장해 있을 수 있는 최대 인원 (0이면 제한 없이 batchSize씩 입장)
+// heartbeatTimeoutSec        : 이 시간 동안 /queue/status, /queue/stream 신호가 없으면 heartbeatAction 적용 (0이면 끔)
+// lanes/laneMode             : 대기열 레인 목록(우선순위 순, 비율)과 섞는 방식
+// lotteryWindowSec           : 판매 오픈 전 이 시간 동안 들어온 사람은 오픈 때 추첨으로 순번을 정한다 (0이면 끔)
+// powDifficulty              : /queue/enter 전에 풀어야 하는 작업 증명 난이도(비트, 0이면 끔)
+// maxTicketsPerUser          : 사용자 한 명이 이 공연에서 살 수 있는 최대 좌석 수, 예약 세션을 여러 번 열어도 합산 (0이면 제한 없음)
+// soldOutWaitlist            : 매진돼도 대기열을 닫지 않고 취소/선점 만료로 좌석이 돌아오면 입장을 이어간다 (soldOut.js)
+const FIELDS = {
+  reentryPolicy: (v) => (REENTRY_POLICIES.includes(v) ? v : undefined),
+  batchSize: int(1),
+  intervalMs: int(100),
+  admissionTtlSec: int(10),
+  reservationTtlSec: int(10),
+  queueTokenTtlSec: int(60),
+  maxActiveSessions: int(0),
+  heartbeatTimeoutSec: int(0),
+  heartbeatAction: (v) => (HEARTBEAT_ACTIONS.includes(v) ? v : undefined),
+  lanes: parseLanes,
+  laneMode: (v) => (LANE_MODES.includes(v) ? v : undefined),
+  lotteryWindowSec: int(0),
+  powDifficulty: (v) => {
+    const n = int(0)(v);
+    return n !== undefined && n <= MAX_POW_DIFFICULTY ? n : undefined;
+  },
+  maxTicketsPerUser: int(0),
+  soldOutWaitlist: bool,
+};
+
+function defaults() {
+  return {
+    reentryPolicy: process.env.QUEUE_REENTRY_POLICY || "KEEP",
+    batchSize: Number(process.env.QUEUE_BATCH_SIZE || 5),
+    intervalMs: Number(process.env.QUEUE_BATCH_INTERVAL_MS || 3000),
+    admissionTtlSec: Number(process.env.ADMISSION_TTL_SEC || 120),
+    reservationTtlSec: Number(process.env.RESERVATION_TTL_SEC || 120),
+    queueTokenTtlSec: Number(process.env.QUEUE_TOKEN_TTL_SEC || 60 * 60),
+    maxActiveSessions: Number(process.env.QUEUE_MAX_ACTIVE_SESSIONS || 0),
+    heartbeatTimeoutSec: Number(process.env.QUEUE_HEARTBEAT_TIMEOUT_SEC || 0),
+    heartbeatAction: process.env.QUEUE_HEARTBEAT_ACTION || "DROP",
+    lanes: `${DEFAULT_LANE}:1`,
+    laneMode: "RATIO",
+    lotteryWindowSec: Number(process.env.QUEUE_LOTTERY_WINDOW_SEC || 0),
+    powDifficulty: Number(process.env.QUEUE_POW_DIFFICULTY || 0),
+    maxTicketsPerUser: Number(process.env.MAX_TICKETS_PER_USER || 0),
+    soldOutWaitlist: process.env.QUEUE_SOLD_OUT_WAITLIST === "true",
+  };
+}
+
+// 정책 기준 초당 입장 인원
+export function admissionRatePerSec(config) {
+  return config.batchSize / (config.intervalMs / 1000);
+}
+
+export async function getEventConfig(eventId) {
+  const stored = await redis.hGetAll(configKey(eventId));
+  const config = defaults();
+  for (const [field, parse] of Object.entries(FIELDS)) {
+    if (stored[field] === undefined) continue;
+    const value = parse(stored[field]);
+    if (value !== undefined) config[field] = value;
+  }
+  return config;
+}
+
+// 일부 필드만 갱신. 알 수 없는 필드나 잘못된 값이 있으면 { errors }를 돌려주고 아무것도 바꾸지 않는다.
+// 대기자가 남아 있는 레인을 lanes에서 빼려고 하면 { conflict: [레인] } (그 대기자는 입장할 수 없게 되므로)
+export async function updateEventConfig(eventId, patch) {
+  const errors = [];
+  const values = {};
+  for (const [field, raw] of Object.entries(patch || {})) {
+    const parse = FIELDS[field];
+    const value = parse ? parse(raw) : undefined;
+    if (value === undefined) errors.push(field);
+    else values[field] = String(value);
+  }
+  if (errors.length) return { errors };
+
+  if (values.lanes) {
+    const kept = laneList(values).map((l) => l.lane);
+    const removed = laneList(await getEventConfig(eventId))
+      .map((l) => l.lane)
+      .filter((lane) => !kept.includes(lane));
+    const conflict = [];
+    for (const lane of removed) {
+      if ((await redis.zCard(queueKey(eventId, lane))) > 0) conflict.push(lane);
+    }
+    if (conflict.length) return { conflict };
+  }
+
+  if (Object.keys(values).length) await redis.hSet(configKey(eventId), values);
+  return { config: await getEventConfig(eventId) };
+}
@@ -0,0 +1,125 @@
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+
+// /queue/enter 마다 DB를 치지 않도록 공연 정보를 잠깐 캐시
+const EVENT_CACHE_TTL_SEC = Number(process.env.EVENT_CACHE_TTL_SEC || 30);
+const eventCacheKey = (eventId) => `event:info:${eventId}`;
+
+const EVENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+const COLUMNS = `id, name, venue, capacity, sale_opens_at, sale_closes_at, created_at, updated_at`;
+
+function toEvent(row) {
+  return {
+    eventId: row.id,
+    name: row.name,
+    venue: row.venue,
+    capacity: row.capacity,
+    saleOpensAt: new Date(row.sale_opens_at).toISOString(),
+    saleClosesAt: new Date(row.sale_closes_at).toISOString(),
+    createdAt: new Date(row.created_at).toISOString(),
+    updatedAt: new Date(row.updated_at).toISOString(),
+  };
+}
+
+export async function getEvent(eventId) {
+  const cached = await redis.get(eventCacheKey(eventId));
+  if (cached) return JSON.parse(cached);
+
+  const r = await pool.query(`SELECT ${COLUMNS} FROM events WHERE id = $1`, [eventId]);
+  if (r.rowCount === 0) return null;
+
+  const event = toEvent(r.rows[0]);
+  await redis.set(eventCacheKey(eventId), JSON.stringify(event), { EX: EVENT_CACHE_TTL_SEC });
+  return event;
+}
+
+export async function listEvents() {
+  const r = await pool.query(`SELECT ${COLUMNS} FROM events ORDER BY sale_opens_at DESC, id`);
+  return r.rows.map(toEvent);
+}
+
+// 판매 기간 밖이면 에러 코드, 안이면 null
+export function saleWindowError(event, now = Date.now()) {
+  if (now < Date.parse(event.saleOpensAt)) return "sale_not_open";
+  if (now >= Date.parse(event.saleClosesAt)) return "sale_closed";
+  return null;
+}
+
+// 입력 검증. partial=true면 보낸 필드만 검사한다. 잘못된 필드 이름 목록을 돌려준다.
+function validate(input, { partial }) {
+  const errors = [];
+  const has = (field) => input[field] !== undefined;
+  const need = (field) => !partial || has(field);
+
+  if (!partial && !EVENT_ID_PATTERN.test(String(input.eventId ?? ""))) errors.push("eventId");
+  if (need("name") && !(typeof input.name === "string" && input.name.trim())) errors.push("name");
+  if (has("venue") && input.venue !== null && typeof input.venue !== "string") errors.push("venue");
+  if (need("capacity") && !(Number.isInteger(input.capacity) && input.capacity >= 0)) errors.push("capacity");
+  if (need("saleOpensAt") && Number.isNaN(Date.parse(input.saleOpensAt))) errors.push("saleOpensAt");
+  if (need("saleClosesAt") && Number.isNaN(Date.parse(input.saleClosesAt))) errors.push("saleClosesAt");
+
+  return errors;
+}
+
+function checkWindow(opensAt, closesAt) {
+  return Date.parse(closesAt) > Date.parse(opensAt) ? [] : ["saleClosesAt"];
+}
+
+// 성공하면 { event }, 실패하면 { errors } 또는 { conflict: true }
+export async function createEvent(input) {
+  const errors = validate(input, { partial: false });
+  if (!errors.length) errors.push(...checkWindow(input.saleOpensAt, input.saleClosesAt));
+  if (errors.length) return { errors };
+
+  try {
+    const r = await pool.query(
+      `INSERT INTO events (id, name, venue, capacity, sale_opens_at, sale_closes_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${COLUMNS}`,
+      [input.eventId, input.name.trim(), input.venue ?? null, input.capacity, input.saleOpensAt, input.saleClosesAt]
+    );
+    return { event: toEvent(r.rows[0]) };
+  } catch (err) {
+    if (err?.code === "23505") return { conflict: true };
+    throw err;
+  }
+}
+
+// 성공하면 { event }, 없으면 { event: null }, 입력이 틀리면 { errors }
+export async function updateEvent(eventId, input) {
+  const errors = validate(input, { partial: true });
+  if (errors.length) return { errors };
+
+  const current = await pool.query(`SELECT ${COLUMNS} FROM events WHERE id = $1`, [eventId]);
+  if (current.rowCount === 0) return { event: null };
+
+  const before = toEvent(current.rows[0]);
+  const opensAt = input.saleOpensAt ?? before.saleOpensAt;
+  const closesAt = input.saleClosesAt ?? before.saleClosesAt;
+  const windowErrors = checkWindow(opensAt, closesAt);
+  if (windowErrors.length) return { errors: windowErrors };
+
+  const r = await pool.query(
+    `UPDATE events
+     SET name = $2,
+         venue = $3,
+         capacity = $4,
+         sale_opens_at = $5,
+         sale_closes_at = $6,
+         updated_at = now()
+     WHERE id = $1
+     RETURNING ${COLUMNS}`,
+    [
+      eventId,
+      input.name?.trim() ?? before.name,
+      input.venue !== undefined ? input.venue : before.venue,
+      input.capacity ?? before.capacity,
+      opensAt,
+      closesAt,
+    ]
+  );
+
+  await redis.del(eventCacheKey(eventId));
+  return { event: toEvent(r.rows[0]) };
+}
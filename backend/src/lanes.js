@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+
+// 대기열 레인: 공연마다 선예매/접근성/일반 같은 레인을 따로 두고, 입장 처리기가 레인 정책대로 섞어서 꺼낸다
+// 레인 목록은 공연 정책 lanes ("presale:3,accessibility:2,general:1", 앞에 있을수록 우선, 숫자는 비율)
+// 누구나 들어오는 general 레인은 항상 있다.
+export const DEFAULT_LANE = "general";
+
+// Redis Key 설계
+// queue:{eventId}                   = general 레인 대기열 (레인 도입 전과 같은 키)
+// queue:{eventId}:lane:{lane}       = 그 밖의 레인 대기열
+// event:access_codes:{eventId}      = hash(코드 -> 레인)
+// event:access_code_users:{eventId} = hash(코드 -> 처음 쓴 userId). 코드는 한 사람만 쓸 수 있다
+// event:lane_users:{eventId}        = hash(userId -> 레인). 관리자가 확인한 사용자 속성(접근성 등)
+export const queueKey = (eventId, lane = DEFAULT_LANE) =>
+  lane === DEFAULT_LANE ? `queue:${eventId}` : `queue:${eventId}:lane:${lane}`;
+const accessCodesKey = (eventId) => `event:access_codes:${eventId}`;
+const accessCodeUsersKey = (eventId) => `event:access_code_users:${eventId}`;
+const laneUsersKey = (eventId) => `event:lane_users:${eventId}`;
+
+// 공연 정책 lanes -> [{ lane, weight }] (우선순위 순)
+export function laneList(config) {
+  return config.lanes.split(",").map((part) => {
+    const [lane, weight] = part.split(":");
+    return { lane, weight: Number(weight) };
+  });
+}
+
+export function hasLane(config, lane) {
+  return laneList(config).some((l) => l.lane === lane);
+}
+
+// 진입할 레인 결정: 접근 코드가 있으면 코드의 레인, 없으면 관리자가 지정한 레인, 둘 다 없으면 general
+// 잘못된 코드면 { error }
+export async function resolveLane(eventId, userId, accessCode, config) {
+  if (accessCode) {
+    const code = String(accessCode);
+    const lane = await redis.hGet(accessCodesKey(eventId), code);
+    if (!lane || !hasLane(config, lane)) return { error: "invalid_access_code" };
+
+    // 처음 쓴 사람에게 묶는다 (같은 사람의 재진입은 허용)
+    await redis.hSetNX(accessCodeUsersKey(eventId), code, String(userId));
+    const owner = await redis.hGet(accessCodeUsersKey(eventId), code);
+    if (owner !== String(userId)) return { error: "access_code_already_used" };
+    return { lane };
+  }
+
+  const granted = await redis.hGet(laneUsersKey(eventId), String(userId));
+  return { lane: granted && hasLane(config, granted) ? granted : DEFAULT_LANE };
+}
+
+// 접근 코드 등록. codes가 없으면 count개를 새로 만든다
+export async function addAccessCodes(eventId, lane, { codes, count }) {
+  const list = codes?.length
+    ? codes.map(String)
+    : Array.from({ length: count }, () => crypto.randomBytes(5).toString("hex").toUpperCase());
+  await redis.hSet(accessCodesKey(eventId), Object.fromEntries(list.map((code) => [code, lane])));
+  return list;
+}
+
+// 사용자를 레인에 지정. general이면 지정을 푼다
+export async function assignLaneUsers(eventId, lane, userIds) {
+  const ids = userIds.map(String);
+  if (lane === DEFAULT_LANE) await redis.hDel(laneUsersKey(eventId), ids);
+  else await redis.hSet(laneUsersKey(eventId), Object.fromEntries(ids.map((id) => [id, lane])));
+}
+
+// 레인별 대기 인원
+export async function laneSizes(eventId, config) {
+  const lanes = laneList(config);
+  const multi = redis.multi();
+  for (const { lane } of lanes) multi.zCard(queueKey(eventId, lane));
+  const sizes = await multi.exec();
+  return lanes.map(({ lane }, i) => ({ lane, size: Number(sizes[i]) }));
+}
+
+// 레인 안 순번(lanePosition)과 전체 기준 예상 순번(position)
+// entries: [{ queueToken, lane }] -> [{ lanePosition, position }] (대기 중이 아니면 null)
+// STRICT: 앞 레인 대기자는 모두 먼저 입장
+// RATIO : 내 레인에서 앞사람 n명이 빠지는 동안 다른 레인은 비율만큼 빠진다 (그 레인 인원까지)
+export async function queuePositions(eventId, config, entries) {
+  const lanes = laneList(config);
+  const multi = redis.multi();
+  for (const { lane } of lanes) multi.zCard(queueKey(eventId, lane));
+  for (const { queueToken, lane } of entries) multi.zRank(queueKey(eventId, lane), queueToken);
+  const replies = await multi.exec();
+  const sizes = replies.slice(0, lanes.length).map(Number);
+
+  return entries.map(({ lane }, i) => {
+    const rank = replies[lanes.length + i];
+    if (rank === null) return { lanePosition: null, position: null };
+
+    const lanePosition = Number(rank) + 1;
+    const mine = lanes.findIndex((l) => l.lane === lane);
+    if (mine < 0) return { lanePosition, position: lanePosition };
+
+    let ahead = Number(rank);
+    lanes.forEach((other, j) => {
+      if (j === mine) return;
+      if (config.laneMode === "STRICT") {
+        if (j < mine) ahead += sizes[j];
+      } else {
+        ahead += Math.min(sizes[j], Math.floor((Number(rank) * other.weight) / lanes[mine].weight));
+      }
+    });
+    return { lanePosition, position: ahead + 1 };
+  });
+}
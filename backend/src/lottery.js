@@ -0,0 +1,202 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+import { DEFAULT_LANE, queueKey } from "./lanes.js";
+import { heartbeatKey } from "./queueStatus.js";
+import { defineScript, runScript } from "./scripts.js";
+
+// 오픈 전 추첨: 판매 오픈 전 lotteryWindowSec 동안 들어온 사람은 도착 순서 대신 오픈 순간 추첨으로 순번을 받는다.
+// 오픈 뒤에 들어온 사람은 기존처럼 선착순이고, 추첨된 사람 모두보다 뒤에 선다.
+//
+// 추첨 순서 = 참가 토큰을 HMAC-SHA256(seed, queueToken) 오름차순으로 정렬
+// 시드는 첫 참가자가 들어올 때 만들고 seedHash(sha256)만 먼저 공개, 추첨 뒤에 seed를 공개한다.
+// 추첨 결과(시드, 참가자 순서)는 lottery_draws 테이블에 남겨 나중에 다시 계산해 검증할 수 있다.
+//
+// Redis Key 설계
+// lottery:{eventId}      = hash(seed, seedHash, closedAt, drawnAt, participants)
+// lottery:pool:{eventId} = 추첨 대기 zset(member=queueToken, score=진입시각)
+const lotteryKey = (eventId) => `lottery:${eventId}`;
+export const lotteryPoolKey = (eventId) => `lottery:pool:${eventId}`;
+
+// 추첨 참가. 이미 마감(closedAt)됐으면 추첨 대신 레인 대기열에 선착순으로 넣는다.
+// KEYS: lottery:{eventId}, lottery:pool:{eventId}, 레인 대기열 / ARGV: queueToken, now, seed, seedHash
+// 반환: 1 = 추첨 참가, 0 = 대기열로 바로
+const JOIN_LOTTERY = defineScript(
+  "joinLottery",
+  `
+if redis.call('HEXISTS', KEYS[1], 'closedAt') == 1 then
+  redis.call('ZADD', KEYS[3], ARGV[2], ARGV[1])
+  return 0
+end
+if redis.call('HSETNX', KEYS[1], 'seed', ARGV[3]) == 1 then
+  redis.call('HSET', KEYS[1], 'seedHash', ARGV[4])
+end
+redis.call('ZADD', KEYS[2], ARGV[2], ARGV[1])
+return 1
+`,
+  (store, [key, poolKey, laneKey], [queueToken, now, seed, seedHash]) => {
+    if (store.hExists(key, "closedAt")) {
+      store.zAdd(laneKey, { score: Number(now), value: queueToken });
+      return 0;
+    }
+    if (store.hSetNX(key, "seed", seed) === 1) store.hSet(key, "seedHash", seedHash);
+    store.zAdd(poolKey, { score: Number(now), value: queueToken });
+    return 1;
+  }
+);
+
+// 추첨 결과 반영: 정해진 순서대로 레인 대기열에 넣고 추첨 대기에서 뺀다 (한 번만)
+// KEYS: lottery:{eventId}, lottery:pool:{eventId}, queue:heartbeat:{eventId}, 레인 대기열 x 레인 수
+// ARGV: now, (queueToken, 레인 대기열의 KEYS 번호, score) x 참가자 수
+// 레인 키도 KEYS로 넘겨야 클러스터에서 슬롯을 확인할 수 있다
+const APPLY_DRAW = defineScript(
+  "applyDraw",
+  `
+if redis.call('HEXISTS', KEYS[1], 'drawnAt') == 1 then return 0 end
+local placed = 0
+for i = 2, #ARGV, 3 do
+  if redis.call('ZREM', KEYS[2], ARGV[i]) == 1 then
+    redis.call('ZADD', KEYS[tonumber(ARGV[i + 1])], ARGV[i + 2], ARGV[i])
+    redis.call('ZADD', KEYS[3], ARGV[1], ARGV[i])
+    placed = placed + 1
+  end
+end
+redis.call('HSET', KEYS[1], 'drawnAt', ARGV[1], 'participants', placed)
+return placed
+`,
+  (store, keys, [now, ...placements]) => {
+    const [key, poolKey, heartbeatKey] = keys;
+    if (store.hExists(key, "drawnAt")) return 0;
+    let placed = 0;
+    for (let i = 0; i < placements.length; i += 3) {
+      const [queueToken, laneIndex, score] = placements.slice(i, i + 3);
+      if (store.zRem(poolKey, queueToken) === 1) {
+        store.zAdd(keys[Number(laneIndex) - 1], { score: Number(score), value: queueToken });
+        store.zAdd(heartbeatKey, { score: Number(now), value: queueToken });
+        placed++;
+      }
+    }
+    store.hSet(key, { drawnAt: now, participants: placed });
+    return placed;
+  }
+);
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// 시드와 참가 토큰만으로 다시 계산할 수 있는 추첨 순서
+export function drawOrder(seed, queueTokens) {
+  return queueTokens
+    .map((queueToken) => ({ queueToken, key: crypto.createHmac("sha256", seed).update(queueToken).digest("hex") }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ queueToken }) => queueToken);
+}
+
+// 지금이 추첨 참가 기간(오픈 전 lotteryWindowSec)인지
+export function inLotteryWindow(event, config, now = Date.now()) {
+  if (config.lotteryWindowSec <= 0) return false;
+  const opensAt = Date.parse(event.saleOpensAt);
+  return now < opensAt && now >= opensAt - config.lotteryWindowSec * 1000;
+}
+
+// 추첨 참가. 이미 마감됐으면 false (레인 대기열에 선착순으로 들어감)
+export async function joinLottery(eventId, queueToken, lane, now) {
+  const seed = crypto.randomBytes(32).toString("hex");
+  const joined = await runScript(
+    JOIN_LOTTERY,
+    [lotteryKey(eventId), lotteryPoolKey(eventId), queueKey(eventId, lane)],
+    [queueToken, now, seed, sha256(seed)]
+  );
+  return Number(joined) === 1;
+}
+
+export async function isLotteryPending(eventId, queueToken) {
+  return (await redis.zScore(lotteryPoolKey(eventId), queueToken)) !== null;
+}
+
+export async function leaveLottery(eventId, queueToken) {
+  await redis.zRem(lotteryPoolKey(eventId), queueToken);
+}
+
+// 오픈 시각이 지났으면 추첨. 입장 처리기가 리스를 가진 상태에서 입장보다 먼저 부른다.
+// 마감(closedAt) → 참가자 읽기 → DB 기록 → 대기열 반영 순서라, 중간에 죽어도 다음 번에 같은 결과로 이어서 한다.
+// 추첨했으면 참가자 수, 할 게 없으면 0
+export async function drawLotteryIfDue(event, now = Date.now()) {
+  const { eventId } = event;
+  const opensAt = Date.parse(event.saleOpensAt);
+  if (now < opensAt) return 0;
+
+  const key = lotteryKey(eventId);
+  const state = await redis.hGetAll(key);
+  if (!state.seed || state.drawnAt) return 0;
+
+  await redis.hSetNX(key, "closedAt", String(now));
+
+  const entries = await redis.zRangeWithScores(lotteryPoolKey(eventId), 0, -1);
+  const metas = entries.length ? await redis.mGet(entries.map((e) => `queue:token:${e.value}`)) : [];
+  const byToken = new Map(
+    entries.map((e, i) => {
+      const meta = metas[i] ? JSON.parse(metas[i]) : {};
+      return [e.value, { userId: meta.userId ?? null, lane: meta.lane || DEFAULT_LANE, joinedAt: e.score }];
+    })
+  );
+
+  const order = drawOrder(state.seed, [...byToken.keys()]);
+  const participants = order.map((queueToken, i) => ({ rank: i + 1, queueToken, ...byToken.get(queueToken) }));
+
+  await pool.query(
+    `INSERT INTO lottery_draws (event_id, seed, seed_hash, participants)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (event_id) DO NOTHING`,
+    [eventId, state.seed, state.seedHash, JSON.stringify(participants)]
+  );
+
+  // 추첨된 사람은 오픈 시각 바로 앞에 순서대로 선다 (오픈 뒤 진입자는 score >= 오픈 시각)
+  const keys = [key, lotteryPoolKey(eventId), heartbeatKey(eventId)];
+  const args = [now];
+  participants.forEach(({ queueToken, lane }, i) => {
+    const laneKey = queueKey(eventId, lane);
+    if (!keys.includes(laneKey)) keys.push(laneKey);
+    args.push(queueToken, keys.indexOf(laneKey) + 1, opensAt - participants.length + i);
+  });
+  const placed = await runScript(APPLY_DRAW, keys, args);
+
+  console.log(`[LOTTERY] event=${eventId} participants=${participants.length} placed=${placed}`);
+  return participants.length;
+}
+
+// 공개용 추첨 정보: 추첨 전에는 seedHash만, 추첨 뒤에는 seed도
+export async function getLotteryInfo(eventId) {
+  const state = await redis.hGetAll(lotteryKey(eventId));
+  if (!state.seedHash) return null;
+
+  const drawn = Boolean(state.drawnAt);
+  return {
+    eventId,
+    status: drawn ? "DRAWN" : "OPEN",
+    seedHash: state.seedHash,
+    seed: drawn ? state.seed : null,
+    participants: drawn ? Number(state.participants) : await redis.zCard(lotteryPoolKey(eventId)),
+    drawnAt: drawn ? new Date(Number(state.drawnAt)).toISOString() : null,
+  };
+}
+
+// 관리자 감사용: DB에 남은 추첨 기록을 시드로 다시 계산해 순서가 맞는지 확인한다
+export async function auditLottery(eventId) {
+  const r = await pool.query(
+    `SELECT seed, seed_hash, participants, drawn_at FROM lottery_draws WHERE event_id = $1`,
+    [eventId]
+  );
+  if (r.rowCount === 0) return null;
+
+  const { seed, seed_hash: seedHash, participants, drawn_at: drawnAt } = r.rows[0];
+  const recorded = participants.map((p) => p.queueToken);
+  const recomputed = drawOrder(seed, recorded);
+  return {
+    eventId,
+    seed,
+    seedHash,
+    drawnAt: new Date(drawnAt).toISOString(),
+    verified: sha256(seed) === seedHash && recomputed.every((token, i) => token === recorded[i]),
+    participants,
+  };
+}
@@ -0,0 +1,433 @@
+import { EventEmitter } from "events";
+
+// REDIS_ENABLED=false일 때 쓰는 프로세스 안 메모리 저장소 (개발/테스트용)
+// 코드에서 쓰는 명령만 node-redis와 같은 이름, 같은 응답 모양으로 구현한다:
+// 문자열(TTL 포함), hash, list, set, sorted set, pub/sub, MULTI
+// Lua 스크립트는 돌릴 수 없으므로 defineScript에 같이 적은 JS 구현을 저장소 위에서 한 번에(동기로) 실행한다.
+// 데이터가 이 프로세스 안에만 있으므로 worker를 따로 띄우거나 API를 여러 대 띄우면 서로 보지 못한다.
+
+// 만료된 키는 읽을 때 지우고, 읽히지 않는 키는 이 주기로 정리한다
+const PURGE_INTERVAL_MS = 60 * 1000;
+
+const wrongType = () => new Error("WRONGTYPE Operation against a key holding the wrong kind of value");
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+// ZRANGEBYSCORE/ZCOUNT 범위: "-inf", "+inf", "(값"(미포함), 값
+function scoreBound(bound) {
+  const text = String(bound);
+  if (text === "-inf") return { value: -Infinity, open: false };
+  if (text === "+inf" || text === "inf") return { value: Infinity, open: false };
+  if (text.startsWith("(")) return { value: Number(text.slice(1)), open: true };
+  return { value: Number(text), open: false };
+}
+
+function inRange(score, min, max) {
+  const lo = scoreBound(min);
+  const hi = scoreBound(max);
+  return (lo.open ? score > lo.value : score >= lo.value) && (hi.open ? score < hi.value : score <= hi.value);
+}
+
+// Redis와 같은 정렬: 점수, 같으면 멤버 바이트 순
+const byScore = (a, b) => a.score - b.score || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+
+// 명령 구현 (동기). 스크립트 JS 구현도 이 메서드들을 쓴다
+export class MemoryStore {
+  // key -> { type, value, expiresAt(ms, 없으면 null) }
+  #data = new Map();
+  // channel -> Set(listener)
+  #channels = new Map();
+
+  constructor() {
+    setInterval(() => this.#purge(), PURGE_INTERVAL_MS).unref();
+  }
+
+  #purge() {
+    const now = Date.now();
+    for (const [key, entry] of this.#data) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) this.#data.delete(key);
+    }
+  }
+
+  #entry(key) {
+    const entry = this.#data.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.#data.delete(key);
+      return undefined;
+    }
+    return entry;
+  }
+
+  #read(key, type) {
+    const entry = this.#entry(key);
+    if (!entry) return undefined;
+    if (entry.type !== type) throw wrongType();
+    return entry.value;
+  }
+
+  // 없으면 만든다 (TTL 없이)
+  #write(key, type, create) {
+    let value = this.#read(key, type);
+    if (value === undefined) {
+      value = create();
+      this.#data.set(key, { type, value, expiresAt: null });
+    }
+    return value;
+  }
+
+  // Redis처럼 비어 버린 hash/list/set/zset 키는 지운다
+  #dropIfEmpty(key, value) {
+    if ((value.size ?? value.length) === 0) this.#data.delete(key);
+  }
+
+  #sorted(key) {
+    const zset = this.#read(key, "zset");
+    if (!zset) return [];
+    return [...zset].map(([value, score]) => ({ value, score })).sort(byScore);
+  }
+
+  // 문자열
+  get(key) {
+    return this.#read(key, "string") ?? null;
+  }
+
+  set(key, value, options = {}) {
+    const exists = this.#entry(key) !== undefined;
+    if ((options.NX && exists) || (options.XX && !exists)) return null;
+
+    let expiresAt = null;
+    if (options.EX) expiresAt = Date.now() + Number(options.EX) * 1000;
+    else if (options.PX) expiresAt = Date.now() + Number(options.PX);
+    this.#data.set(key, { type: "string", value: String(value), expiresAt });
+    return "OK";
+  }
+
+  getDel(key) {
+    const value = this.get(key);
+    if (value !== null) this.#data.delete(key);
+    return value;
+  }
+
+  mGet(keys) {
+    return keys.map((key) => this.get(key));
+  }
+
+  incrBy(key, increment) {
+    const current = this.#entry(key);
+    const next = Number(this.get(key) ?? 0) + Number(increment);
+    if (!Number.isInteger(next)) throw new Error("ERR value is not an integer or out of range");
+    this.#data.set(key, { type: "string", value: String(next), expiresAt: current?.expiresAt ?? null });
+    return next;
+  }
+
+  // 키 공통
+  del(keys) {
+    let removed = 0;
+    for (const key of toArray(keys)) {
+      if (this.#entry(key) !== undefined) {
+        this.#data.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  exists(keys) {
+    return toArray(keys).filter((key) => this.#entry(key) !== undefined).length;
+  }
+
+  pExpire(key, ms) {
+    const entry = this.#entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(ms);
+    return 1;
+  }
+
+  expire(key, sec) {
+    return this.pExpire(key, Number(sec) * 1000);
+  }
+
+  // 키가 없으면 -2, TTL이 없으면 -1
+  pTTL(key) {
+    const entry = this.#entry(key);
+    if (!entry) return -2;
+    return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+  }
+
+  // hash
+  hGet(key, field) {
+    return this.#read(key, "hash")?.get(field) ?? null;
+  }
+
+  hExists(key, field) {
+    return this.#read(key, "hash")?.has(field) ? 1 : 0;
+  }
+
+  // hSet(key, field, value) 또는 hSet(key, { field: value })
+  hSet(key, fieldOrValues, value) {
+    const values = typeof fieldOrValues === "object" ? Object.entries(fieldOrValues) : [[fieldOrValues, value]];
+    const hash = this.#write(key, "hash", () => new Map());
+    let added = 0;
+    for (const [field, v] of values) {
+      if (!hash.has(field)) added++;
+      hash.set(field, String(v));
+    }
+    return added;
+  }
+
+  hSetNX(key, field, value) {
+    if (this.hExists(key, field)) return 0;
+    return this.hSet(key, field, value);
+  }
+
+  hGetAll(key) {
+    return Object.fromEntries(this.#read(key, "hash") ?? []);
+  }
+
+  hIncrBy(key, field, increment) {
+    const next = Number(this.hGet(key, field) ?? 0) + Number(increment);
+    this.hSet(key, field, next);
+    return next;
+  }
+
+  hDel(key, fields) {
+    const hash = this.#read(key, "hash");
+    if (!hash) return 0;
+    const removed = toArray(fields).filter((field) => hash.delete(field)).length;
+    this.#dropIfEmpty(key, hash);
+    return removed;
+  }
+
+  // list (왼쪽이 앞)
+  lPush(key, values) {
+    const list = this.#write(key, "list", () => []);
+    for (const value of toArray(values)) list.unshift(String(value));
+    return list.length;
+  }
+
+  rPush(key, values) {
+    const list = this.#write(key, "list", () => []);
+    list.push(...toArray(values).map(String));
+    return list.length;
+  }
+
+  // 키가 없으면 null
+  rPopCount(key, count) {
+    const list = this.#read(key, "list");
+    if (!list) return null;
+    const popped = list.splice(Math.max(list.length - count, 0)).reverse();
+    this.#dropIfEmpty(key, list);
+    return popped;
+  }
+
+  // set
+  sAdd(key, members) {
+    const set = this.#write(key, "set", () => new Set());
+    let added = 0;
+    for (const member of toArray(members).map(String)) {
+      if (!set.has(member)) added++;
+      set.add(member);
+    }
+    return added;
+  }
+
+  sMembers(key) {
+    return [...(this.#read(key, "set") ?? [])];
+  }
+
+  sRem(key, members) {
+    const set = this.#read(key, "set");
+    if (!set) return 0;
+    const removed = toArray(members).filter((member) => set.delete(String(member))).length;
+    this.#dropIfEmpty(key, set);
+    return removed;
+  }
+
+  // sorted set
+  // members: { score, value } 또는 그 배열. 새로 들어간 수
+  zAdd(key, members, options = {}) {
+    const list = toArray(members);
+    if (options.XX && !this.#read(key, "zset")) return 0;
+    const zset = this.#write(key, "zset", () => new Map());
+    let added = 0;
+    for (const { score, value } of list) {
+      const member = String(value);
+      const exists = zset.has(member);
+      if ((options.NX && exists) || (options.XX && !exists)) continue;
+      if (!exists) added++;
+      zset.set(member, Number(score));
+    }
+    this.#dropIfEmpty(key, zset);
+    return added;
+  }
+
+  zCard(key) {
+    return this.#read(key, "zset")?.size ?? 0;
+  }
+
+  zScore(key, member) {
+    return this.#read(key, "zset")?.get(String(member)) ?? null;
+  }
+
+  zRank(key, member) {
+    const index = this.#sorted(key).findIndex((e) => e.value === String(member));
+    return index === -1 ? null : index;
+  }
+
+  zRem(key, members) {
+    const zset = this.#read(key, "zset");
+    if (!zset) return 0;
+    const removed = toArray(members).filter((member) => zset.delete(String(member))).length;
+    this.#dropIfEmpty(key, zset);
+    return removed;
+  }
+
+  zCount(key, min, max) {
+    return this.#sorted(key).filter((e) => inRange(e.score, min, max)).length;
+  }
+
+  // 순위 범위 (음수는 뒤에서부터)
+  zRangeWithScores(key, start, stop) {
+    const sorted = this.#sorted(key);
+    const from = start < 0 ? Math.max(sorted.length + start, 0) : start;
+    const to = stop < 0 ? sorted.length + stop : stop;
+    return sorted.slice(from, to + 1);
+  }
+
+  zRange(key, start, stop) {
+    return this.zRangeWithScores(key, start, stop).map((e) => e.value);
+  }
+
+  zRangeByScore(key, min, max) {
+    return this.#sorted(key)
+      .filter((e) => inRange(e.score, min, max))
+      .map((e) => e.value);
+  }
+
+  // pub/sub (받는 쪽은 다음 틱에 받는다)
+  publish(channel, message) {
+    const listeners = this.#channels.get(channel);
+    if (!listeners) return 0;
+    for (const listener of listeners) setImmediate(() => listener(String(message), channel));
+    return listeners.size;
+  }
+
+  subscribe(channel, listener) {
+    if (!this.#channels.has(channel)) this.#channels.set(channel, new Set());
+    this.#channels.get(channel).add(listener);
+  }
+
+  unsubscribe(channel, listener) {
+    const listeners = this.#channels.get(channel);
+    listeners?.delete(listener);
+    if (listeners?.size === 0) this.#channels.delete(channel);
+  }
+
+  // 테스트에서 비울 때
+  flushAll() {
+    this.#data.clear();
+    return "OK";
+  }
+}
+
+// 클라이언트에서 그대로 비동기로 노출하는 명령
+const COMMANDS = [
+  "get", "set", "getDel", "mGet", "incrBy", "del", "exists", "pExpire", "expire", "pTTL",
+  "hGet", "hExists", "hSet", "hSetNX", "hGetAll", "hIncrBy", "hDel",
+  "lPush", "rPush", "rPopCount",
+  "sAdd", "sMembers", "sRem",
+  "zAdd", "zCard", "zScore", "zRank", "zRem", "zCount", "zRange", "zRangeWithScores", "zRangeByScore",
+  "publish", "flushAll",
+];
+
+// 키를 받지 않는 명령
+const KEYLESS = new Set(["publish", "flushAll"]);
+
+// Lua 스크립트는 KEYS로 넘긴 키만 건드려야 한다 (Redis 클러스터에서는 슬롯을 KEYS로 정한다).
+// JS 구현이 다른 키를 쓰면 바로 실패하게 해서, 테스트에서 스크립트의 키 선언이 빠진 걸 잡는다.
+function declaredKeysOnly(store, script, keys) {
+  const declared = new Set(keys);
+  return new Proxy(store, {
+    get(target, name) {
+      const value = Reflect.get(target, name);
+      if (typeof value !== "function") return value;
+      if (!COMMANDS.includes(name) || KEYLESS.has(name)) return value.bind(target);
+      return (...args) => {
+        for (const key of toArray(args[0])) {
+          if (!declared.has(key)) throw new Error(`Script ${script.name} accessed undeclared key ${key}`);
+        }
+        return value.apply(target, args);
+      };
+    },
+  });
+}
+
+// MULTI: 모아 둔 명령을 exec에서 한 번에 실행
+class MemoryMulti {
+  constructor(store) {
+    this.store = store;
+    this.queued = [];
+  }
+
+  async exec() {
+    return this.queued.map(([name, args]) => this.store[name](...args));
+  }
+}
+
+// node-redis 클라이언트 자리에 그대로 쓰는 객체. duplicate()는 같은 저장소를 보는 연결을 만든다
+export class MemoryRedis extends EventEmitter {
+  constructor(store = new MemoryStore()) {
+    super();
+    this.store = store;
+    this.isOpen = false;
+    this.isReady = false;
+    this.subscriptions = [];
+  }
+
+  async connect() {
+    this.isOpen = this.isReady = true;
+    return this;
+  }
+
+  async quit() {
+    for (const [channel, listener] of this.subscriptions) this.store.unsubscribe(channel, listener);
+    this.subscriptions = [];
+    this.isOpen = this.isReady = false;
+    return "OK";
+  }
+
+  duplicate() {
+    return new MemoryRedis(this.store);
+  }
+
+  async subscribe(channel, listener) {
+    this.store.subscribe(channel, listener);
+    this.subscriptions.push([channel, listener]);
+  }
+
+  multi() {
+    return new MemoryMulti(this.store);
+  }
+
+  // node-redis처럼 { value, score } 묶음을 COUNT개씩 내준다 (시작 시점 스냅샷)
+  async *zScanIterator(key, options = {}) {
+    const members = this.store.zRangeWithScores(key, 0, -1);
+    const count = options.COUNT || 10;
+    for (let i = 0; i < members.length; i += count) yield members.slice(i, i + count);
+  }
+
+  // scripts.js runScript가 부른다. Lua 대신 defineScript에 적은 JS 구현을 실행
+  runLocal(script, keys, args) {
+    if (!script.local) throw new Error(`Script ${script.name} has no in-memory implementation`);
+    return script.local(declaredKeysOnly(this.store, script, keys), keys, args);
+  }
+}
+
+for (const name of COMMANDS) {
+  MemoryRedis.prototype[name] = async function (...args) {
+    return this.store[name](...args);
+  };
+  MemoryMulti.prototype[name] = function (...args) {
+    this.queued.push([name, args]);
+    return this;
+  };
+}
@@ -0,0 +1,195 @@
+import client from "prom-client";
+import { redis } from "./redisClient.js";
+import { getEventConfig } from "./eventConfig.js";
+import { laneSizes } from "./lanes.js";
+import { lotteryPoolKey } from "./lottery.js";
+import { countActive } from "./activeSessions.js";
+import { getControlState } from "./queueControl.js";
+
+// 대기열 지표
+// 입장/만료/예약 같은 업무 지표는 API 서버와 worker가 나눠서 만들므로 Redis에 모으고,
+// 라우트 지연시간은 인스턴스별로 Prometheus가 각자 긁어 간다.
+//
+// Redis Key 설계
+// metrics:events                      = 지표가 있는 공연 set (queue:events에서 빠져도 누적값은 보여준다)
+// metrics:event:{eventId}             = hash(admitted, expired:{이유}, reservations:{started|completed|cancelled})
+// metrics:admitted:{eventId}:{초}     = 그 1초 동안 입장 수 (초당 입장 계산용, TTL 2분)
+// metrics:enter_rejections            = hash(/queue/enter 거절 사유 -> 횟수)
+const EVENTS_KEY = "metrics:events";
+const eventKey = (eventId) => `metrics:event:${eventId}`;
+const admittedSecKey = (eventId, sec) => `metrics:admitted:${eventId}:${sec}`;
+const REJECTIONS_KEY = "metrics:enter_rejections";
+
+// 초당 입장 수를 이 기간 평균으로 계산
+const RATE_WINDOW_SEC = 60;
+
+// 지표 기록이 실패해도 요청/입장 처리는 계속한다
+function record(fn) {
+  return fn().catch((err) => console.error("metrics record failed:", err));
+}
+
+export function recordAdmitted(eventId, count = 1) {
+  if (count <= 0) return;
+  const sec = Math.floor(Date.now() / 1000);
+  return record(() =>
+    redis
+      .multi()
+      .sAdd(EVENTS_KEY, eventId)
+      .hIncrBy(eventKey(eventId), "admitted", count)
+      .incrBy(admittedSecKey(eventId, sec), count)
+      .expire(admittedSecKey(eventId, sec), RATE_WINDOW_SEC * 2)
+      .exec()
+  );
+}
+
+export function recordExpired(eventId, reason, count = 1) {
+  if (count <= 0) return;
+  return record(() =>
+    redis.multi().sAdd(EVENTS_KEY, eventId).hIncrBy(eventKey(eventId), `expired:${reason}`, count).exec()
+  );
+}
+
+// result: started | completed | cancelled
+export function recordReservation(eventId, result) {
+  return record(() =>
+    redis.multi().sAdd(EVENTS_KEY, eventId).hIncrBy(eventKey(eventId), `reservations:${result}`, 1).exec()
+  );
+}
+
+// 사유는 에러 코드 (공연 id는 라벨로 쓰지 않는다: 없는 공연 id로 라벨이 무한히 늘어날 수 있음)
+export function recordEnterRejected(reason) {
+  return record(() => redis.hIncrBy(REJECTIONS_KEY, reason, 1));
+}
+
+// 공연 하나의 현재 상태 + 누적 지표
+async function eventSummary(eventId, nowSec) {
+  const config = await getEventConfig(eventId);
+  const lanes = await laneSizes(eventId, config);
+  const counters = await redis.hGetAll(eventKey(eventId));
+  const perSec = await redis.mGet(
+    Array.from({ length: RATE_WINDOW_SEC }, (_, i) => admittedSecKey(eventId, nowSec - i - 1))
+  );
+  const control = await getControlState(eventId);
+
+  const num = (field) => Number(counters[field] || 0);
+  const admitted = num("admitted");
+  const expired = {};
+  for (const [field, value] of Object.entries(counters)) {
+    if (field.startsWith("expired:")) expired[field.slice("expired:".length)] = Number(value);
+  }
+  const reservations = {
+    started: num("reservations:started"),
+    completed: num("reservations:completed"),
+    cancelled: num("reservations:cancelled"),
+  };
+
+  return {
+    eventId,
+    waiting: lanes.reduce((sum, { size }) => sum + size, 0),
+    lanes,
+    lotteryPending: await redis.zCard(lotteryPoolKey(eventId)),
+    active: await countActive(eventId),
+    paused: Boolean(control.paused),
+    draining: Boolean(control.draining),
+    admitted,
+    admissionsPerSec: perSec.reduce((sum, v) => sum + Number(v || 0), 0) / RATE_WINDOW_SEC,
+    reservations,
+    // 입장한 사람 중 예매까지 끝낸 비율
+    conversionRate: admitted > 0 ? reservations.completed / admitted : null,
+    expired,
+  };
+}
+
+// 운영 대시보드용 요약 (/admin/metrics)과 /metrics가 같이 쓴다
+export async function collectQueueMetrics() {
+  const nowSec = Math.floor(Date.now() / 1000);
+  const eventIds = [...new Set([...(await redis.sMembers("queue:events")), ...(await redis.sMembers(EVENTS_KEY))])].sort();
+
+  const events = [];
+  for (const eventId of eventIds) events.push(await eventSummary(eventId, nowSec));
+
+  const rejections = await redis.hGetAll(REJECTIONS_KEY);
+  return {
+    generatedAt: new Date(nowSec * 1000).toISOString(),
+    events,
+    enterRejections: Object.fromEntries(Object.entries(rejections).map(([reason, n]) => [reason, Number(n)])),
+  };
+}
+
+// Prometheus
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const metric = (Type, name, help, labelNames) => new Type({ name, help, labelNames, registers: [registry] });
+
+const httpDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by route",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+  registers: [registry],
+});
+
+const gauges = {
+  waiting: metric(client.Gauge, "queue_waiting", "Tokens waiting in the queue", ["event", "lane"]),
+  lotteryPending: metric(client.Gauge, "queue_lottery_pending", "Tokens waiting for the pre-open draw", ["event"]),
+  active: metric(client.Gauge, "queue_active_sessions", "Admitted or reserving sessions", ["event"]),
+  paused: metric(client.Gauge, "queue_paused", "1 if admissions are paused", ["event"]),
+  admissionsPerSec: metric(
+    client.Gauge,
+    "queue_admissions_per_second",
+    `Admissions per second (last ${RATE_WINDOW_SEC}s average)`,
+    ["event"]
+  ),
+  conversion: metric(
+    client.Gauge,
+    "queue_admission_conversion_ratio",
+    "Completed reservations per admission",
+    ["event"]
+  ),
+};
+
+// 누적값은 Redis에 있으므로 긁을 때마다 다시 채운다
+const counters = {
+  admitted: metric(client.Counter, "queue_admissions_total", "Tokens admitted", ["event"]),
+  expired: metric(client.Counter, "queue_expirations_total", "Tokens expired by reason", ["event", "reason"]),
+  reservations: metric(client.Counter, "queue_reservations_total", "Reservation sessions by result", ["event", "result"]),
+  rejections: metric(client.Counter, "queue_enter_rejections_total", "Rejected /queue/enter requests by reason", [
+    "reason",
+  ]),
+};
+
+export async function renderMetrics() {
+  const summary = await collectQueueMetrics();
+  for (const m of [...Object.values(gauges), ...Object.values(counters)]) m.reset();
+
+  for (const e of summary.events) {
+    const event = e.eventId;
+    for (const { lane, size } of e.lanes) gauges.waiting.set({ event, lane }, size);
+    gauges.lotteryPending.set({ event }, e.lotteryPending);
+    gauges.active.set({ event }, e.active);
+    gauges.paused.set({ event }, e.paused ? 1 : 0);
+    gauges.admissionsPerSec.set({ event }, e.admissionsPerSec);
+    if (e.conversionRate !== null) gauges.conversion.set({ event }, e.conversionRate);
+
+    counters.admitted.inc({ event }, e.admitted);
+    for (const [reason, n] of Object.entries(e.expired)) counters.expired.inc({ event, reason }, n);
+    for (const [result, n] of Object.entries(e.reservations)) counters.reservations.inc({ event, result }, n);
+  }
+  for (const [reason, n] of Object.entries(summary.enterRejections)) counters.rejections.inc({ reason }, n);
+
+  return registry.metrics();
+}
+
+export const metricsContentType = registry.contentType;
+
+// 라우트별 응답시간. 라우트 패턴(/events/:eventId/seats)으로 묶고, SSE 연결은 제외한다
+export function httpMetrics(req, res, next) {
+  const end = httpDuration.startTimer();
+  res.on("finish", () => {
+    if (String(res.getHeader("Content-Type") || "").startsWith("text/event-stream")) return;
+    const route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    end({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
@@ -0,0 +1,123 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { pool } from "./db.js";
+
+// 스키마 마이그레이션
+// src/migrations/{버전}_{이름}.js 가 up/down SQL을 내보낸다. 적용한 버전은 schema_migrations에 남긴다.
+// SQL만으로 안 되는 확인(기존 데이터 검사 등)이 필요하면 up/down을 async (client) => {} 함수로 내보낸다.
+// 마이그레이션 하나는 트랜잭션 하나로 적용/되돌린다.
+// 여러 인스턴스가 동시에 떠도 advisory lock을 잡은 한 곳만 적용하고, 나머지는 기다렸다가 이미 적용된 것을 건너뛴다.
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "migrations");
+// pg_advisory_lock 키 (이 앱 마이그레이션 전용)
+const LOCK_KEY = 7301;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// 버전 순 마이그레이션 목록 [{ version, name, up, down }]
+async function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter((file) => FILE_PATTERN.test(file));
+  const migrations = [];
+  for (const file of files) {
+    const [, version, name] = file.match(FILE_PATTERN);
+    const { up, down } = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    migrations.push({ version: Number(version), name, up, down });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const r = await client.query(`SELECT version FROM schema_migrations`);
+  return new Set(r.rows.map((row) => Number(row.version)));
+}
+
+// 잠금을 잡고 fn(client) 실행
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query(`SELECT pg_advisory_lock($1)`, [LOCK_KEY]);
+    try {
+      await ensureTable(client);
+      return await fn(client);
+    } finally {
+      await client.query(`SELECT pg_advisory_unlock($1)`, [LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// up/down 한 쪽 실행 (SQL 문자열이면 그대로, 함수면 같은 트랜잭션의 client로 부른다)
+async function runStep(client, step) {
+  if (typeof step === "function") await step(client);
+  else await client.query(step);
+}
+
+async function inTransaction(client, fn) {
+  await client.query("BEGIN");
+  try {
+    await fn();
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  }
+}
+
+// 아직 적용 안 된 마이그레이션을 버전 순으로 모두 적용. 적용한 버전 목록
+export async function migrateUp() {
+  const migrations = await loadMigrations();
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const done = [];
+    for (const m of migrations) {
+      if (applied.has(m.version)) continue;
+      await inTransaction(client, async () => {
+        await runStep(client, m.up);
+        await client.query(`INSERT INTO schema_migrations (version, name) VALUES ($1, $2)`, [m.version, m.name]);
+      });
+      console.log(`[MIGRATE] up ${m.version}_${m.name}`);
+      done.push(m.version);
+    }
+    return done;
+  });
+}
+
+// 마지막으로 적용한 것부터 steps개를 되돌린다. 되돌린 버전 목록
+export async function migrateDown(steps = 1) {
+  const migrations = await loadMigrations();
+  return withLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const targets = migrations.filter((m) => applied.has(m.version)).reverse().slice(0, steps);
+    const done = [];
+    for (const m of targets) {
+      await inTransaction(client, async () => {
+        await runStep(client, m.down);
+        await client.query(`DELETE FROM schema_migrations WHERE version = $1`, [m.version]);
+      });
+      console.log(`[MIGRATE] down ${m.version}_${m.name}`);
+      done.push(m.version);
+    }
+    return done;
+  });
+}
+
+// [{ version, name, appliedAt(없으면 null) }]
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  return withLock(async (client) => {
+    const r = await client.query(`SELECT version, applied_at FROM schema_migrations`);
+    const appliedAt = new Map(r.rows.map((row) => [Number(row.version), new Date(row.applied_at).toISOString()]));
+    return migrations.map(({ version, name }) => ({ version, name, appliedAt: appliedAt.get(version) ?? null }));
+  });
+}
@@ -0,0 +1,102 @@
+// 초기 스키마: 회원, 공연, 좌석, 예매 (+ 초기 대기열 테이블)
+// 예전 db/init.sql로 만든 DB에도 적용할 수 있게 IF NOT EXISTS로 만들고, 그 뒤에 생긴 컬럼은 ALTER로 채운다.
+const schema = `
+CREATE TABLE IF NOT EXISTS queue_entries (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(64) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'WAITING',
+  created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- 회원 (자체가입 LOCAL / 카카오 KAKAO). password는 LOCAL만 (bcrypt 해시)
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  auth_provider VARCHAR(16) NOT NULL,
+  kakao_id VARCHAR(64),
+  email VARCHAR(255),
+  password VARCHAR(100),
+  nickname VARCHAR(100),
+  gender VARCHAR(16),
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+-- 회원가입 중복 확인은 이 인덱스의 UNIQUE 위반(23505)으로 한다
+CREATE UNIQUE INDEX IF NOT EXISTS users_email_key ON users (email);
+CREATE UNIQUE INDEX IF NOT EXISTS users_kakao_id_key ON users (kakao_id);
+
+-- 공연 카탈로그 (판매 기간 밖이면 /queue/enter 거절)
+CREATE TABLE IF NOT EXISTS events (
+  id VARCHAR(32) PRIMARY KEY,
+  name VARCHAR(200) NOT NULL,
+  venue VARCHAR(200),
+  capacity INTEGER NOT NULL CHECK (capacity >= 0),
+  sale_opens_at TIMESTAMPTZ NOT NULL,
+  sale_closes_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  CHECK (sale_closes_at > sale_opens_at)
+);
+
+-- 공연별 좌석 인벤토리
+CREATE TABLE IF NOT EXISTS seats (
+  id SERIAL PRIMARY KEY,
+  event_id VARCHAR(32) NOT NULL REFERENCES events (id),
+  seat_id VARCHAR(32) NOT NULL,
+  section VARCHAR(16) NOT NULL,
+  row_label VARCHAR(8) NOT NULL,
+  seat_number INTEGER NOT NULL,
+  price INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (event_id, seat_id)
+);
+
+-- 확정된 예매 (좌석당 1건)
+CREATE TABLE IF NOT EXISTS reservations (
+  id SERIAL PRIMARY KEY,
+  reservation_id VARCHAR(64) NOT NULL,
+  event_id VARCHAR(32) NOT NULL REFERENCES events (id),
+  user_id VARCHAR(64) NOT NULL,
+  seat_id VARCHAR(32) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+  UNIQUE (event_id, seat_id)
+);
+
+-- 예전 init.sql의 reservations (id, user_id, seat_id, created_at)에 없던 것들. 값을 확인한 뒤 NOT NULL로 바꾼다
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS reservation_id VARCHAR(64);
+ALTER TABLE reservations ADD COLUMN IF NOT EXISTS event_id VARCHAR(32) REFERENCES events (id);
+`;
+
+const constraints = `
+ALTER TABLE reservations ALTER COLUMN reservation_id SET NOT NULL;
+ALTER TABLE reservations ALTER COLUMN event_id SET NOT NULL;
+-- 새로 만든 테이블에서는 위 UNIQUE 제약이 같은 이름의 인덱스를 이미 만든다
+CREATE UNIQUE INDEX IF NOT EXISTS reservations_event_id_seat_id_key ON reservations (event_id, seat_id);
+
+CREATE INDEX IF NOT EXISTS reservations_reservation_id_idx ON reservations (reservation_id);
+`;
+
+// 예전 reservations에 행이 있으면 어느 공연의 어느 예매인지 알 수 없어 채울 수 없다 (그때 앱은 이 테이블에 쓰지 않았다).
+// 그런 행이 있으면 아무것도 바꾸지 않고 멈춘다: 지우거나 reservation_id/event_id를 채운 뒤 다시 적용한다.
+export async function up(client) {
+  await client.query(schema);
+  const r = await client.query(
+    `SELECT COUNT(*)::int AS count FROM reservations WHERE reservation_id IS NULL OR event_id IS NULL`
+  );
+  const { count } = r.rows[0];
+  if (count > 0) {
+    throw new Error(
+      `reservations has ${count} row(s) from the old init.sql without reservation_id/event_id; ` +
+        `delete them or fill both columns, then run the migration again`
+    );
+  }
+  await client.query(constraints);
+}
+
+export const down = `
+DROP TABLE IF EXISTS reservations;
+DROP TABLE IF EXISTS seats;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS queue_entries;
+`;
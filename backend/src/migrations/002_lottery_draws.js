@@ -0,0 +1,14 @@
+// 오픈 전 추첨 기록 (seed로 참가자 순서를 다시 계산해 검증한다)
+export const up = `
+CREATE TABLE IF NOT EXISTS lottery_draws (
+  event_id VARCHAR(32) PRIMARY KEY REFERENCES events (id),
+  seed VARCHAR(64) NOT NULL,
+  seed_hash VARCHAR(64) NOT NULL,
+  participants JSONB NOT NULL,
+  drawn_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS lottery_draws;
+`;
@@ -0,0 +1,22 @@
+// 대기열/예약 상태 변화 감사 기록 (audit.js가 비동기로 모아서 넣는다)
+// action: ENTER / ADMIT / RESERVATION_START / COMPLETE / CANCEL / EXPIRE / LEAVE / SOLD_OUT
+export const up = `
+CREATE TABLE IF NOT EXISTS queue_audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  action VARCHAR(32) NOT NULL,
+  event_id VARCHAR(32) NOT NULL,
+  user_id VARCHAR(64),
+  queue_token VARCHAR(64),
+  reservation_id VARCHAR(64),
+  detail JSONB,
+  occurred_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS queue_audit_log_event_idx ON queue_audit_log (event_id, occurred_at);
+CREATE INDEX IF NOT EXISTS queue_audit_log_user_idx ON queue_audit_log (user_id, occurred_at);
+CREATE INDEX IF NOT EXISTS queue_audit_log_token_idx ON queue_audit_log (queue_token);
+`;
+
+export const down = `
+DROP TABLE IF EXISTS queue_audit_log;
+`;
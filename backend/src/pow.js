@@ -0,0 +1,54 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+
+// 작업 증명(proof-of-work) 챌린지: 공연 정책 powDifficulty가 0보다 크면 /queue/enter 전에 풀어야 한다.
+// 클라이언트는 sha256(`${nonce}:${solution}`)의 앞 difficulty비트가 0이 되는 solution(문자열)을 찾는다.
+// 한 비트 올릴 때마다 평균 계산량이 두 배가 되므로, 공격 중에는 관리자 API로 난이도를 올린다.
+export const POW_CHALLENGE_TTL_SEC = Number(process.env.POW_CHALLENGE_TTL_SEC || 120);
+
+// pow:challenge:{challengeId} = { eventId, userId, nonce, difficulty } (한 번 쓰면 지운다)
+const challengeKey = (challengeId) => `pow:challenge:${challengeId}`;
+
+export async function issueChallenge(eventId, userId, difficulty) {
+  const challengeId = "c_" + crypto.randomBytes(12).toString("hex");
+  const nonce = crypto.randomBytes(16).toString("hex");
+  await redis.set(challengeKey(challengeId), JSON.stringify({ eventId, userId, nonce, difficulty }), {
+    EX: POW_CHALLENGE_TTL_SEC,
+  });
+  return { challengeId, nonce, difficulty, algorithm: "sha256", expiresInSec: POW_CHALLENGE_TTL_SEC };
+}
+
+// 해시 앞쪽 0비트 수
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+export function solves(nonce, solution, difficulty) {
+  const hash = crypto.createHash("sha256").update(`${nonce}:${solution}`).digest();
+  return leadingZeroBits(hash) >= difficulty;
+}
+
+// 챌린지 검증 (성공/실패 상관없이 챌린지는 한 번만 쓸 수 있다)
+// 통과하면 null, 아니면 에러 코드
+// 발급 뒤 난이도가 올라갔으면 예전 챌린지는 받지 않는다 (새로 받아서 풀어야 함)
+export async function verifyChallenge({ eventId, userId, challengeId, solution, difficulty }) {
+  if (!challengeId || solution === undefined || solution === null) return "pow_required";
+
+  const raw = await redis.getDel(challengeKey(String(challengeId)));
+  if (!raw) return "pow_challenge_expired";
+
+  const challenge = JSON.parse(raw);
+  if (challenge.eventId !== eventId || challenge.userId !== userId) return "invalid_pow_solution";
+  if (challenge.difficulty < difficulty) return "pow_difficulty_raised";
+  if (!solves(challenge.nonce, String(solution), challenge.difficulty)) return "invalid_pow_solution";
+  return null;
+}
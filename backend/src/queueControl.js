@@ -0,0 +1,179 @@
+import { redis } from "./redisClient.js";
+import { getEventConfig } from "./eventConfig.js";
+import { queueKey, laneList } from "./lanes.js";
+import { lotteryPoolKey } from "./lottery.js";
+import { releaseActive } from "./activeSessions.js";
+import { publishQueueUpdate } from "./queueStream.js";
+import { getQueueStatus, markExpired, heartbeatKey } from "./queueStatus.js";
+import { recordExpired } from "./metrics.js";
+import { recordAudit } from "./audit.js";
+
+// 장애 대응용 공연별 대기열 제어 (관리자 API)
+// queue:paused:{eventId}    = { reason, at } : 입장 처리기가 이 공연을 건너뛴다 (대기열은 그대로)
+// queue:draining:{eventId}  = { reason, at } : 새 진입만 막고 남은 대기자는 계속 입장
+// queue:broadcast:{eventId} = { message, postedAt } : 대기 중인 모두에게 /queue/status, /queue/stream으로 보여줄 공지
+// queue:soldout:{eventId}   = { state, at } : 남은 좌석이 없음 (입장 처리기가 정한다, soldOut.js)
+//   WAITLIST : 입장만 멈추고 대기자는 그대로 기다린다 (좌석이 돌아오면 풀린다)
+//   SOLD_OUT : 판매가 끝나 새 진입을 막고 대기자를 모두 SOLD_OUT으로 바꿨다
+const pausedKey = (eventId) => `queue:paused:${eventId}`;
+const drainingKey = (eventId) => `queue:draining:${eventId}`;
+const broadcastKey = (eventId) => `queue:broadcast:${eventId}`;
+const soldOutKey = (eventId) => `queue:soldout:${eventId}`;
+
+// 한 번에 비우는 토큰 수
+const FLUSH_BATCH = 500;
+
+const flag = (reason) => JSON.stringify({ reason: reason || null, at: new Date().toISOString() });
+const parse = (json) => (json ? JSON.parse(json) : null);
+
+export async function isPaused(eventId) {
+  return (await redis.exists(pausedKey(eventId))) === 1;
+}
+
+export async function isDraining(eventId) {
+  return (await redis.exists(drainingKey(eventId))) === 1;
+}
+
+export async function getControlState(eventId) {
+  const [paused, draining, broadcast, soldOut] = await redis.mGet([
+    pausedKey(eventId),
+    drainingKey(eventId),
+    broadcastKey(eventId),
+    soldOutKey(eventId),
+  ]);
+  return { eventId, paused: parse(paused), draining: parse(draining), broadcast: parse(broadcast), soldOut: parse(soldOut) };
+}
+
+// { state, at } 또는 null
+export async function getSoldOut(eventId) {
+  return parse(await redis.get(soldOutKey(eventId)));
+}
+
+export async function setSoldOut(eventId, state) {
+  await redis.set(soldOutKey(eventId), JSON.stringify({ state, at: new Date().toISOString() }));
+}
+
+export async function clearSoldOut(eventId) {
+  await redis.del(soldOutKey(eventId));
+}
+
+export async function pauseQueue(eventId, reason) {
+  await redis.set(pausedKey(eventId), flag(reason));
+  return getControlState(eventId);
+}
+
+export async function drainQueue(eventId, reason) {
+  await redis.set(drainingKey(eventId), flag(reason));
+  return getControlState(eventId);
+}
+
+// 일시정지와 진입 차단을 모두 푼다
+export async function resumeQueue(eventId) {
+  await redis.del([pausedKey(eventId), drainingKey(eventId)]);
+  return getControlState(eventId);
+}
+
+export async function getBroadcast(eventId) {
+  return parse(await redis.get(broadcastKey(eventId)));
+}
+
+// 공지 등록 (ttlSec이 있으면 그 뒤 자동으로 내려간다). message가 null이면 내린다
+export async function setBroadcast(eventId, message, ttlSec) {
+  if (message === null) {
+    await redis.del(broadcastKey(eventId));
+  } else {
+    const value = JSON.stringify({ message, postedAt: new Date().toISOString() });
+    await redis.set(broadcastKey(eventId), value, ttlSec ? { EX: ttlSec } : undefined);
+  }
+  const broadcast = await getBroadcast(eventId);
+  await publishQueueUpdate({ type: "BROADCAST", eventId, broadcast });
+  return broadcast;
+}
+
+// 레인별 앞쪽 대기자 limit명 (메타 포함) + 추첨 대기 인원
+export async function listWaiting(eventId, limit) {
+  const lanes = [];
+  for (const { lane } of laneList(await getEventConfig(eventId))) {
+    const key = queueKey(eventId, lane);
+    const entries = await redis.zRangeWithScores(key, 0, limit - 1);
+    const metas = entries.length ? await redis.mGet(entries.map((e) => `queue:token:${e.value}`)) : [];
+    lanes.push({
+      lane,
+      size: await redis.zCard(key),
+      tokens: entries.map((e, i) => ({ position: i + 1, score: e.score, meta: parse(metas[i]) })),
+    });
+  }
+  return { eventId, lanes, lotteryPending: await redis.zCard(lotteryPoolKey(eventId)) };
+}
+
+// 대기 중 토큰 하나를 내보낸다 (EXPIRED, 이유 EVICTED). 입장 직후(ADMITTED)면 입장권도 회수한다
+// 결과: { status } 또는 { error }
+export async function evictToken(eventId, queueToken) {
+  const snapshot = await getQueueStatus(queueToken);
+  if (!snapshot || snapshot.eventId !== eventId) return { error: "token_not_found" };
+
+  const { status, lane } = snapshot.status;
+  if (status === "RESERVING") return { error: "reservation_in_progress" };
+  if (status !== "WAITING" && status !== "ADMITTED") return { error: "token_not_active", status };
+
+  if (status === "WAITING") {
+    await redis.zRem(queueKey(eventId, lane), queueToken);
+    await redis.zRem(lotteryPoolKey(eventId), queueToken);
+  } else {
+    const admissionToken = await redis.get(`queue:admission:${queueToken}`);
+    if (admissionToken) await redis.del(`admission:${admissionToken}`);
+    await redis.del(`queue:admission:${queueToken}`);
+    await releaseActive(eventId, queueToken);
+  }
+  await redis.zRem(heartbeatKey(eventId), queueToken);
+  await markExpired(queueToken, "EVICTED");
+  await recordExpired(eventId, "EVICTED");
+  recordAudit({ action: "EXPIRE", eventId, userId: snapshot.userId, queueToken, detail: { reason: "EVICTED", status } });
+
+  await publishQueueUpdate({ type: "EXPIRED", eventId, queueToken, reason: "EVICTED" });
+  if (status === "WAITING") await publishQueueUpdate({ type: "ADVANCED", eventId });
+  return { status: "EXPIRED" };
+}
+
+// 대기 중인 모두(추첨 대기 포함)를 대기열에서 빼고, 뺀 토큰 묶음마다 settle(tokens)을 부른다. 뺀 수
+export async function removeAllWaiting(eventId, settle) {
+  const keys = [
+    ...laneList(await getEventConfig(eventId)).map(({ lane }) => queueKey(eventId, lane)),
+    lotteryPoolKey(eventId),
+  ];
+
+  let total = 0;
+  for (const key of keys) {
+    for (;;) {
+      const tokens = await redis.zRange(key, 0, FLUSH_BATCH - 1);
+      if (!tokens.length) break;
+
+      // 동시에 입장 처리된 토큰은 ZREM 결과가 0이라 건드리지 않는다
+      const multi = redis.multi();
+      for (const token of tokens) multi.zRem(key, token);
+      const removed = await multi.exec();
+      const taken = tokens.filter((_, i) => Number(removed[i]) === 1);
+
+      if (taken.length) {
+        await redis.zRem(heartbeatKey(eventId), taken);
+        await settle(taken);
+      }
+      total += taken.length;
+    }
+  }
+
+  if (total > 0) await publishQueueUpdate({ type: "ADVANCED", eventId });
+  return total;
+}
+
+// 대기 중인 모두(추첨 대기 포함)를 내보낸다. 내보낸 수
+export async function flushQueue(eventId) {
+  return removeAllWaiting(eventId, async (tokens) => {
+    for (const queueToken of tokens) {
+      await markExpired(queueToken, "EVICTED");
+      await publishQueueUpdate({ type: "EXPIRED", eventId, queueToken, reason: "EVICTED" });
+      recordAudit({ action: "EXPIRE", eventId, queueToken, detail: { reason: "EVICTED", flush: true } });
+    }
+    await recordExpired(eventId, "EVICTED", tokens.length);
+  });
+}
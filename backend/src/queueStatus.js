@@ -0,0 +1,123 @@
+import { redis } from "./redisClient.js";
+import { getEventConfig } from "./eventConfig.js";
+import { DEFAULT_LANE, queuePositions } from "./lanes.js";
+import { isLotteryPending } from "./lottery.js";
+import { getBroadcast, getSoldOut } from "./queueControl.js";
+import { getThroughput, estimateWait } from "./throughput.js";
+
+// 토큰 수명이 끝난 뒤에도 메타/상태를 이만큼 남겨서 /queue/status가 EXPIRED와 이유를 보여줄 수 있게 한다
+export const STATE_GRACE_SEC = Number(process.env.QUEUE_STATE_GRACE_SEC || 60 * 60);
+
+// 토큰 상태
+// WAITING → ADMITTED → RESERVING → COMPLETED / CANCELLED
+// 대기 중이거나 입장 직후 스스로 나가면 LEFT
+// 대기 중에 공연이 매진되어 대기열이 닫히면 SOLD_OUT (soldOut.js)
+// 중간 어디서든 시간이 지나면 EXPIRED (이유는 queue:expired:{queueToken})
+//   QUEUE_TTL          : 대기열 토큰 유효시간 초과
+//   ADMISSION_NOT_USED : 입장 후 admissionTtlSec 안에 /reservation/start 안 함
+//   RESERVATION_TTL    : 예약 세션이 확정/취소 없이 만료
+//   HEARTBEAT_TIMEOUT  : 대기 중 하트비트가 끊김 (heartbeatAction=DROP)
+//   EVICTED            : 관리자가 내보냄
+export const EXPIRED_REASONS = ["QUEUE_TTL", "ADMISSION_NOT_USED", "RESERVATION_TTL", "HEARTBEAT_TIMEOUT", "EVICTED"];
+
+const expiredKey = (queueToken) => `queue:expired:${queueToken}`;
+
+// 대기자 하트비트: queue:heartbeat:{eventId} = zset(member=queueToken, score=마지막 신호 시각 ms)
+export const heartbeatKey = (eventId) => `queue:heartbeat:${eventId}`;
+
+export async function touchHeartbeat(eventId, queueToken) {
+  await redis.zAdd(heartbeatKey(eventId), [{ score: Date.now(), value: queueToken }]);
+}
+
+// 토큰을 EXPIRED로 바꾸고 이유를 남긴다
+export async function markExpired(queueToken, reason) {
+  await redis.set(`queue:state:${queueToken}`, "EXPIRED", { EX: STATE_GRACE_SEC });
+  await redis.set(expiredKey(queueToken), reason, { EX: STATE_GRACE_SEC });
+}
+
+// queueToken의 현재 상태 스냅샷. /queue/status 응답과 푸시 채널이 같이 쓴다.
+// 토큰이 없으면 null, 있으면 { userId, eventId, status: <응답 본문> }
+export async function getQueueStatus(token) {
+  const metaKey = `queue:token:${token}`;
+  const stateKey = `queue:state:${token}`;
+
+  const metaJson = await redis.get(metaKey);
+  if (!metaJson) return null;
+
+  const meta = JSON.parse(metaJson);
+  const { eventId } = meta;
+  const lane = meta.lane || DEFAULT_LANE;
+  const now = Date.now();
+
+  let status = (await redis.get(stateKey)) || "WAITING";
+
+  // 남은 유효시간(초) - 메타의 expiresAt 기준 (메타 키 자체는 STATE_GRACE_SEC만큼 더 남는다)
+  const expiresInSec = Math.max(Math.ceil((meta.expiresAt - now) / 1000), 0);
+
+  // ADMITTED 상태면 admissionToken/admissionUrl도 내려주기
+  // queue:admission:{queueToken} = admissionToken (TTL = admissionTtlSec)
+  let admissionToken = null;
+  let admissionUrl = null;
+
+  if (status === "ADMITTED") {
+    admissionToken = await redis.get(`queue:admission:${token}`);
+    if (admissionToken) admissionUrl = admissionUrlFor(admissionToken);
+  }
+
+  // 정리기가 돌기 전이라도 시간이 지난 건 바로 EXPIRED로 보여준다
+  let expiredReason = null;
+  if (status === "WAITING" && now >= meta.expiresAt) {
+    status = "EXPIRED";
+    expiredReason = "QUEUE_TTL";
+  } else if (status === "ADMITTED" && !admissionToken) {
+    status = "EXPIRED";
+    expiredReason = "ADMISSION_NOT_USED";
+  } else if (status === "EXPIRED") {
+    expiredReason = await redis.get(expiredKey(token));
+  }
+
+  // 현재 순번 계산: 레인 안 순번 + 다른 레인까지 합친 전체 순번
+  // 예상 대기시간은 전체 순번과 최근 실제 처리 속도 기준 (범위 포함, throughput.js)
+  // 오픈 전 추첨 참가자는 추첨(오픈 시각) 전까지 순번이 없다 (lottery = PENDING → DRAWN)
+  let lanePosition = null;
+  let position = null;
+  let estimate = estimateWait(null);
+  let lottery = null;
+  let broadcast = null;
+  let waitlist = false;
+  if (meta.lottery) lottery = status === "WAITING" && (await isLotteryPending(eventId, token)) ? "PENDING" : "DRAWN";
+  if (status === "WAITING" && lottery !== "PENDING") {
+    const config = await getEventConfig(eventId);
+    [{ lanePosition, position }] = await queuePositions(eventId, config, [{ queueToken: token, lane }]);
+    estimate = estimateWait(position, config, await getThroughput(eventId));
+  }
+  // 대기 중인 사람에게 보이는 관리자 공지, 매진 대기 여부
+  if (status === "WAITING") {
+    broadcast = await getBroadcast(eventId);
+    waitlist = (await getSoldOut(eventId))?.state === "WAITLIST";
+  }
+
+  return {
+    userId: meta.userId,
+    eventId,
+    status: {
+      queueToken: token,
+      status,
+      lane,
+      lanePosition,
+      position,
+      ...estimate,
+      lottery,
+      broadcast,
+      waitlist,
+      expiresInSec,
+      expiredReason,
+      admissionToken,
+      admissionUrl,
+    },
+  };
+}
+
+export function admissionUrlFor(admissionToken) {
+  return `/reserve?admissionToken=${encodeURIComponent(admissionToken)}`;
+}
@@ -0,0 +1,184 @@
+import { redis } from "./redisClient.js";
+import { getEventConfig } from "./eventConfig.js";
+import { admissionUrlFor, touchHeartbeat } from "./queueStatus.js";
+import { getThroughput, estimateWait } from "./throughput.js";
+import { queuePositions } from "./lanes.js";
+
+// 모든 백엔드 인스턴스가 구독하는 대기열 변경 채널
+// { type: "ADVANCED", eventId }                           : 대기열 앞쪽이 빠짐 (순번 변경)
+// { type: "ADMITTED", eventId, queueToken, admissionToken }: 입장
+// { type: "EXPIRED",  eventId, queueToken, reason }       : 토큰 만료/정리
+// { type: "LEFT",     eventId, queueToken }               : 사용자가 대기열을 나감
+// { type: "BROADCAST", eventId, broadcast }               : 관리자 공지 변경 (null이면 내림)
+// { type: "SOLD_OUT", eventId, queueToken }               : 매진으로 대기열이 닫혀 대기자가 SOLD_OUT이 됨
+// { type: "WAITLIST", eventId, waitlist }                 : 남은 좌석이 없어 입장이 멈춤(true) / 다시 이어짐(false)
+export const QUEUE_UPDATES_CHANNEL = "queue:updates";
+
+// SSE 연결 유지용 주석 전송 주기 (연결이 살아 있는 동안 하트비트도 이 주기로 갱신)
+const KEEPALIVE_MS = Number(process.env.QUEUE_STREAM_KEEPALIVE_MS || 15000);
+
+// 이 인스턴스에 붙어 있는 클라이언트
+// clients: queueToken -> Set<client>, byEvent: eventId -> Set<queueToken>
+const clients = new Map();
+const byEvent = new Map();
+
+let subscriber = null;
+
+export async function publishQueueUpdate(message) {
+  await redis.publish(QUEUE_UPDATES_CHANNEL, JSON.stringify(message));
+}
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function removeClient(client) {
+  const set = clients.get(client.queueToken);
+  if (!set) return;
+  set.delete(client);
+  if (set.size) return;
+
+  clients.delete(client.queueToken);
+  const tokens = byEvent.get(client.eventId);
+  tokens?.delete(client.queueToken);
+  if (tokens && !tokens.size) byEvent.delete(client.eventId);
+}
+
+function closeToken(queueToken) {
+  for (const client of clients.get(queueToken) || []) {
+    client.res.end();
+    removeClient(client);
+  }
+}
+
+// 순번이 바뀐 클라이언트에게만 position 이벤트 전송 (ZRANK는 MULTI 한 번으로 모아서)
+async function pushPositions(eventId) {
+  const tokens = [...(byEvent.get(eventId) || [])];
+  if (!tokens.length) return;
+
+  const entries = tokens.map((token) => ({ queueToken: token, lane: [...clients.get(token)][0].lane }));
+  const config = await getEventConfig(eventId);
+  const positions = await queuePositions(eventId, config, entries);
+  const throughput = await getThroughput(eventId);
+
+  tokens.forEach((token, i) => {
+    const { lanePosition, position } = positions[i];
+    for (const client of clients.get(token) || []) {
+      if (position === null || client.position === position) continue;
+      client.position = position;
+      send(client, "position", {
+        queueToken: token,
+        lane: client.lane,
+        lanePosition,
+        position,
+        ...estimateWait(position, config, throughput),
+      });
+    }
+  });
+}
+
+async function onMessage(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+
+  try {
+    if (message.type === "ADVANCED") {
+      await pushPositions(message.eventId);
+    } else if (message.type === "ADMITTED") {
+      for (const client of clients.get(message.queueToken) || []) {
+        client.position = null;
+        client.waiting = false;
+        send(client, "admitted", {
+          queueToken: message.queueToken,
+          status: "ADMITTED",
+          admissionToken: message.admissionToken,
+          admissionUrl: admissionUrlFor(message.admissionToken),
+        });
+      }
+    } else if (message.type === "EXPIRED") {
+      for (const client of clients.get(message.queueToken) || []) {
+        send(client, "expired", { queueToken: message.queueToken, status: "EXPIRED", reason: message.reason });
+      }
+      closeToken(message.queueToken);
+    } else if (message.type === "BROADCAST") {
+      // 공지는 대기 중인 연결에만
+      for (const token of byEvent.get(message.eventId) || []) {
+        for (const client of clients.get(token) || []) {
+          if (client.waiting) send(client, "broadcast", message.broadcast);
+        }
+      }
+    } else if (message.type === "WAITLIST") {
+      for (const token of byEvent.get(message.eventId) || []) {
+        for (const client of clients.get(token) || []) {
+          if (client.waiting) send(client, "waitlist", { waitlist: message.waitlist });
+        }
+      }
+    } else if (message.type === "SOLD_OUT") {
+      for (const client of clients.get(message.queueToken) || []) {
+        send(client, "sold_out", { queueToken: message.queueToken, status: "SOLD_OUT" });
+      }
+      closeToken(message.queueToken);
+    } else if (message.type === "LEFT") {
+      for (const client of clients.get(message.queueToken) || []) {
+        send(client, "left", { queueToken: message.queueToken, status: "LEFT" });
+      }
+      closeToken(message.queueToken);
+    }
+  } catch (err) {
+    console.error("queue stream dispatch failed:", err);
+  }
+}
+
+// 전용 구독 연결 (구독 모드 연결은 다른 명령을 못 쓰므로 duplicate)
+export async function initQueueStream() {
+  subscriber = redis.duplicate();
+  subscriber.on("error", (err) => console.error("Queue stream subscriber error", err));
+  await subscriber.connect();
+  await subscriber.subscribe(QUEUE_UPDATES_CHANNEL, onMessage);
+  console.log("Queue stream subscribed");
+}
+
+// SSE 연결 등록: 현재 상태(getQueueStatus 결과)를 먼저 한 번 보내고 이후 변경분을 푸시한다
+export function openQueueStream(req, res, snapshot) {
+  const { queueToken } = snapshot.status;
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const client = {
+    res,
+    queueToken,
+    eventId: snapshot.eventId,
+    lane: snapshot.status.lane,
+    position: snapshot.status.position,
+    waiting: snapshot.status.status === "WAITING",
+  };
+  if (!clients.has(queueToken)) clients.set(queueToken, new Set());
+  clients.get(queueToken).add(client);
+  if (!byEvent.has(client.eventId)) byEvent.set(client.eventId, new Set());
+  byEvent.get(client.eventId).add(queueToken);
+
+  send(client, "status", snapshot.status);
+
+  const beat = () => {
+    if (client.position === null) return;
+    touchHeartbeat(client.eventId, queueToken).catch((err) => console.error("heartbeat failed:", err));
+  };
+  beat();
+  const keepalive = setInterval(() => {
+    res.write(": ping\n\n");
+    beat();
+  }, KEEPALIVE_MS);
+  req.on("close", () => {
+    clearInterval(keepalive);
+    removeClient(client);
+  });
+}
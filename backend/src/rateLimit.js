@@ -0,0 +1,61 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+import { defineScript, runScript } from "./scripts.js";
+
+// 슬라이딩 윈도우 요청 제한: ratelimit:{name}:{id} = zset(member=요청 id, score=요청 시각 ms)
+// 윈도우 밖 기록을 지우고 남은 개수가 limit 이상이면 거절, 아니면 이번 요청을 기록한다.
+// KEYS: ratelimit:{name}:{id} / ARGV: now, windowMs, limit, 요청 id
+// 반환: 0 = 통과, 그 외 = 다시 시도할 수 있을 때까지 남은 ms
+const SLIDING_WINDOW = defineScript(
+  "slidingWindow",
+  `
+local now = tonumber(ARGV[1])
+local windowMs = tonumber(ARGV[2])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - windowMs)
+if redis.call('ZCARD', KEYS[1]) >= tonumber(ARGV[3]) then
+  local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+  return math.max(tonumber(oldest[2]) + windowMs - now, 1)
+end
+redis.call('ZADD', KEYS[1], now, ARGV[4])
+redis.call('PEXPIRE', KEYS[1], windowMs)
+return 0
+`,
+  (store, [key], [now, windowMs, limit, requestId]) => {
+    store.zRem(key, store.zRangeByScore(key, "-inf", Number(now) - Number(windowMs)));
+    if (store.zCard(key) >= Number(limit)) {
+      const [oldest] = store.zRangeWithScores(key, 0, 0);
+      return Math.max(oldest.score + Number(windowMs) - Number(now), 1);
+    }
+    store.zAdd(key, { score: Number(now), value: requestId });
+    store.pExpire(key, Number(windowMs));
+    return 0;
+  }
+);
+
+// 요청 제한 미들웨어. key(req)가 null이면 제한하지 않는다.
+// 넘으면 429 + Retry-After(초)이고 onLimited(req)가 있으면 부른다. Redis 오류로 요청 자체를 막지는 않는다.
+export function rateLimit({ name, windowSec, limit, key, onLimited }) {
+  return async (req, res, next) => {
+    const id = key(req);
+    if (!id || limit <= 0) return next();
+
+    try {
+      const retryAfterMs = Number(
+        await runScript(
+          SLIDING_WINDOW,
+          [`ratelimit:${name}:${id}`],
+          [Date.now(), windowSec * 1000, limit, crypto.randomBytes(8).toString("hex")]
+        )
+      );
+      if (retryAfterMs > 0) {
+        const retryAfterSec = Math.ceil(retryAfterMs / 1000);
+        res.set("Retry-After", String(retryAfterSec));
+        onLimited?.(req);
+        return res.status(429).json({ error: "rate_limited", retryAfterSec });
+      }
+    } catch (err) {
+      console.error(`rate limit ${name} failed:`, err);
+    }
+    return next();
+  };
+}
@@ -1,24 +1,40 @@
 import { createClient } from "redis";
+import { MemoryRedis } from "./memoryRedis.js";
 
-const REDIS_ENABLED = process.env.REDIS_ENABLED === "true";
+// REDIS_ENABLED=true면 Redis, 아니면 프로세스 안 메모리 저장소 (개발/테스트용, memoryRedis.js)
+// 메모리 저장소는 이 프로세스 안에서만 보이므로 worker 분리나 API 여러 대 구성에는 쓸 수 없다.
+export const REDIS_ENABLED = process.env.REDIS_ENABLED === "true";
+const REDIS_URL = process.env.REDIS_URL || "redis://localhost:6379";
+// 시작할 때 이만큼 다시 시도해도 연결이 안 되면 실패 (연결된 뒤 끊기면 계속 다시 연결한다)
+const CONNECT_RETRIES = Number(process.env.REDIS_CONNECT_RETRIES || 5);
+
+let connected = false;
 
 export const redis = REDIS_ENABLED
   ? createClient({
-      url: process.env.REDIS_URL || "redis://localhost:6379",
+      url: REDIS_URL,
+      socket: {
+        reconnectStrategy: (retries, cause) =>
+          !connected && retries >= CONNECT_RETRIES ? cause : Math.min(retries * 200, 3000),
+      },
     })
-  : null;
+  : new MemoryRedis();
+
+redis.on("error", (err) => console.error("Redis error:", err.message));
 
+// Redis가 필요한데 연결이 안 되면 예외를 던진다 (반쯤 뜬 상태로 요청을 받지 않도록)
 export async function initRedis() {
   if (!REDIS_ENABLED) {
-    console.warn("Redis disabled (REDIS_ENABLED=false)");
+    await redis.connect();
+    console.warn("Redis disabled (REDIS_ENABLED=false), using in-memory store");
     return;
   }
 
-  //수정
   try {
     await redis.connect();
-    console.log("Redis connected");
   } catch (err) {
-    console.warn("Redis connection failed, continuing without Redis");
+    throw new Error(`Redis connection failed (${REDIS_URL}): ${err.message}`, { cause: err });
   }
+  connected = true;
+  console.log("Redis connected");
 }
@@ -0,0 +1,220 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+import { ApiError } from "./errors.js";
+import { getHeldSeats, releaseSeats, seatHoldKey, reservationSeatsKey } from "./seats.js";
+import { releaseActive } from "./activeSessions.js";
+import { recordReservation } from "./metrics.js";
+import { recordAudit } from "./audit.js";
+import { assertTicketsAvailable, commitTickets } from "./tickets.js";
+import { defineScript, runScript } from "./scripts.js";
+
+// 확정/취소 결과를 보관하는 시간 (재시도 응답 + /queue/status 최종 상태 표시용)
+const FINAL_STATE_TTL_SEC = Number(process.env.FINAL_STATE_TTL_SEC || 60 * 60);
+// 확정/취소 잠금 유지시간 (요청이 죽어도 이만큼 뒤에는 다시 시도할 수 있다)
+const LOCK_TTL_SEC = 10;
+
+// Redis Key 설계
+// reservation:{reservationId}        = 예약 세션 (TTL = RESERVATION_TTL_SEC)
+// reservation:result:{reservationId} = 확정/취소 결과 (TTL = FINAL_STATE_TTL_SEC)
+// reservation:lock:{reservationId}   = 확정/취소 처리 중 잠금 (값 = 잡은 요청의 무작위 값)
+export const reservationKey = (reservationId) => `reservation:${reservationId}`;
+const resultKey = (reservationId) => `reservation:result:${reservationId}`;
+const lockKey = (reservationId) => `reservation:lock:${reservationId}`;
+
+// 내가 잡은 잠금일 때만 푼다 (처리가 길어져 잠금이 만료되고 다른 요청이 잡았으면 건드리지 않는다)
+const RELEASE_LOCK = defineScript(
+  "releaseReservationLock",
+  `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`,
+  (store, [key], [owner]) => (store.get(key) === owner ? store.del(key) : 0)
+);
+
+// 같은 예약의 확정/취소를 한 번에 하나만 실행한다. 다른 요청이 처리 중이면 409
+async function withLock(reservationId, fn) {
+  const owner = crypto.randomBytes(12).toString("hex");
+  const locked = await redis.set(lockKey(reservationId), owner, { NX: true, EX: LOCK_TTL_SEC });
+  if (!locked) throw new ApiError(409, "confirm_in_progress");
+  try {
+    return await fn();
+  } finally {
+    await runScript(RELEASE_LOCK, [lockKey(reservationId)], [owner]);
+  }
+}
+
+// 예약 세션 조회 (남은 TTL 포함). 없으면 null
+export async function loadReservation(reservationId) {
+  const key = reservationKey(reservationId);
+  const json = await redis.get(key);
+  if (!json) return null;
+  const ttlMs = await redis.pTTL(key);
+  return { session: JSON.parse(json), ttlMs };
+}
+
+async function loadResult(reservationId) {
+  const json = await redis.get(resultKey(reservationId));
+  return json ? JSON.parse(json) : null;
+}
+
+// 세션을 최종 상태로 닫는다: 결과 저장, 대기열 토큰 상태 갱신, 동시 입장 자리 반납, 세션/선점 키 삭제
+async function finalize(session, result) {
+  await redis.set(resultKey(session.reservationId), JSON.stringify(result), { EX: FINAL_STATE_TTL_SEC });
+  if (session.queueToken) {
+    await redis.set(`queue:state:${session.queueToken}`, result.status, { EX: FINAL_STATE_TTL_SEC });
+    await releaseActive(session.eventId, session.queueToken);
+  }
+  await redis.del([reservationKey(session.reservationId), reservationSeatsKey(session.reservationId)]);
+  await recordReservation(session.eventId, result.status.toLowerCase());
+  recordAudit({
+    action: result.status === "COMPLETED" ? "COMPLETE" : "CANCEL",
+    eventId: session.eventId,
+    userId: session.userId,
+    queueToken: session.queueToken || null,
+    reservationId: session.reservationId,
+    detail: result.seatIds ? { seatIds: result.seatIds } : null,
+  });
+}
+
+// DB에 이미 확정된 행이 있으면 결과를 복원한다 (Redis 결과 저장 전에 죽은 경우 대비)
+async function resultFromDb(reservationId) {
+  const r = await pool.query(
+    `SELECT event_id, user_id, seat_id, created_at
+     FROM reservations
+     WHERE reservation_id = $1
+     ORDER BY seat_id`,
+    [reservationId]
+  );
+  if (r.rowCount === 0) return null;
+  return {
+    reservationId,
+    status: "COMPLETED",
+    eventId: r.rows[0].event_id,
+    userId: r.rows[0].user_id,
+    seatIds: r.rows.map((row) => row.seat_id),
+    confirmedAt: new Date(r.rows[0].created_at).getTime(),
+  };
+}
+
+// 예약 확정: 선점 좌석을 한 트랜잭션으로 reservations에 기록하고 토큰을 COMPLETED로 바꾼다.
+// 같은 reservationId로 다시 호출하면 처음 결과를 그대로 돌려준다.
+export async function confirmReservation(reservationId, userId) {
+  const done = await loadResult(reservationId);
+  if (done) {
+    if (done.userId !== userId) throw new ApiError(403, "forbidden");
+    if (done.status !== "COMPLETED") throw new ApiError(409, "reservation_cancelled");
+    return done;
+  }
+
+  const reservation = await loadReservation(reservationId);
+  if (!reservation) {
+    const recovered = await resultFromDb(reservationId);
+    if (recovered && recovered.userId !== userId) throw new ApiError(403, "forbidden");
+    if (recovered) return recovered;
+    throw new ApiError(401, "invalid_or_expired_reservation");
+  }
+  const { session } = reservation;
+  if (session.userId !== userId) throw new ApiError(403, "forbidden");
+
+  return withLock(reservationId, async () => {
+    // 잠금을 잡기 직전에 취소가 끝났을 수 있다
+    if ((await loadResult(reservationId))?.status === "CANCELLED") throw new ApiError(409, "reservation_cancelled");
+    const recovered = await resultFromDb(reservationId);
+    if (recovered) {
+      await finalize(session, recovered);
+      return recovered;
+    }
+
+    const seatIds = await getHeldSeats(reservationId);
+    if (seatIds.length === 0) throw new ApiError(400, "no_seats_held");
+
+    // 선점이 아직 이 세션 것인지 확인
+    const owners = await redis.mGet(seatIds.map((seatId) => seatHoldKey(session.eventId, seatId)));
+    const lost = seatIds.filter((_, i) => owners[i] !== reservationId);
+    if (lost.length) throw new ApiError(409, "seat_hold_lost", { seatIds: lost });
+
+    const client = await pool.connect();
+    let rows;
+    let counts;
+    try {
+      await client.query("BEGIN");
+      // 같은 공연 확정은 여기서 한 줄로 선다. 정원/사용자 한도를 넘으면 아무것도 넣지 않는다
+      counts = await assertTicketsAvailable(client, { eventId: session.eventId, userId: session.userId, count: seatIds.length });
+      const values = seatIds.map((_, i) => `($1, $2, $3, $${i + 4})`);
+      const ins = await client.query(
+        `INSERT INTO reservations (reservation_id, event_id, user_id, seat_id)
+         VALUES ${values.join(", ")}
+         RETURNING seat_id, created_at`,
+        [reservationId, session.eventId, String(session.userId), ...seatIds]
+      );
+      await client.query("COMMIT");
+      rows = ins.rows;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      // (event_id, seat_id) UNIQUE 충돌 = 이미 팔린 좌석
+      if (err?.code === "23505") throw new ApiError(409, "seat_already_sold");
+      throw err;
+    } finally {
+      client.release();
+    }
+    await commitTickets({ eventId: session.eventId, userId: session.userId, reservationId, seatIds, counts });
+
+    const result = {
+      reservationId,
+      status: "COMPLETED",
+      eventId: session.eventId,
+      userId: session.userId,
+      seatIds: rows.map((row) => row.seat_id).sort(),
+      confirmedAt: new Date(rows[0].created_at).getTime(),
+    };
+
+    await finalize(session, result);
+    // 판매 확정된 좌석은 reservations가 막아주므로 선점 키는 정리
+    await redis.del(seatIds.map((seatId) => seatHoldKey(session.eventId, seatId)));
+
+    return result;
+  });
+}
+
+// 예약 취소: 선점 좌석을 모두 풀고 토큰을 CANCELLED로 바꾼다. 반복 호출해도 같은 결과.
+export async function cancelReservation(reservationId, userId) {
+  const done = await loadResult(reservationId);
+  if (done) {
+    if (done.userId !== userId) throw new ApiError(403, "forbidden");
+    if (done.status !== "CANCELLED") throw new ApiError(409, "reservation_already_confirmed");
+    return done;
+  }
+
+  const reservation = await loadReservation(reservationId);
+  if (!reservation) throw new ApiError(401, "invalid_or_expired_reservation");
+  const { session } = reservation;
+  if (session.userId !== userId) throw new ApiError(403, "forbidden");
+
+  // 확정과 같은 잠금을 잡는다. 잠금을 잡기 직전에 끝난 확정이 있으면 취소하지 않는다
+  return withLock(reservationId, async () => {
+    const finished = await loadResult(reservationId);
+    if (finished) {
+      if (finished.status !== "CANCELLED") throw new ApiError(409, "reservation_already_confirmed");
+      return finished;
+    }
+    if (await resultFromDb(reservationId)) throw new ApiError(409, "reservation_already_confirmed");
+
+    const seatIds = await getHeldSeats(reservationId);
+    await releaseSeats({ reservationId, eventId: session.eventId, userId: session.userId, seatIds });
+
+    const result = {
+      reservationId,
+      status: "CANCELLED",
+      eventId: session.eventId,
+      userId: session.userId,
+      releasedSeatIds: seatIds,
+      cancelledAt: Date.now(),
+    };
+
+    await finalize(session, result);
+    return result;
+  });
+}
@@ -3,10 +3,92 @@ import crypto from "crypto";
 import { redis } from "./redisClient.js"; 
 import bcrypt from "bcrypt";
 import { pool } from "./db.js";
+import { listSeats, holdSeats, releaseSeats, getHeldSeats } from "./seats.js";
+import { loadReservation, confirmReservation, cancelReservation } from "./reservations.js";
+import { ApiError, sendApiError } from "./errors.js";
+import { issueTokens, refreshTokens, revokeTokens, requireAuth, authenticate, bearerToken } from "./auth.js";
+import { getEventConfig } from "./eventConfig.js";
+import { getQueueStatus, touchHeartbeat, heartbeatKey, STATE_GRACE_SEC } from "./queueStatus.js";
+import { openQueueStream, publishQueueUpdate } from "./queueStream.js";
+import { getEvent, saleWindowError } from "./events.js";
+import { trackActive, releaseActive } from "./activeSessions.js";
+import { DEFAULT_LANE, queueKey, resolveLane, queuePositions } from "./lanes.js";
+import { inLotteryWindow, joinLottery, leaveLottery, getLotteryInfo } from "./lottery.js";
+import { rateLimit } from "./rateLimit.js";
+import { issueChallenge, verifyChallenge } from "./pow.js";
+import { isDraining } from "./queueControl.js";
+import { isSoldOut } from "./soldOut.js";
+import { recordEnterRejected, recordReservation } from "./metrics.js";
+import { recordAudit } from "./audit.js";
+import { defineScript, runScript } from "./scripts.js";
+
+
+// 이 상태의 토큰은 끝난 것으로 보고, 재진입 시 새 토큰을 발급한다
+const FINAL_STATES = ["COMPLETED", "CANCELLED", "EXPIRED", "LEFT", "SOLD_OUT"];
+const router = express.Router();
 
+// 유저별 진행 중 토큰 자리를 읽은 값 그대로일 때만 새 토큰으로 바꾼다 (빈 문자열 = 자리가 비어 있었음)
+// KEYS: queue:user:{eventId}:{userId} / ARGV: 읽은 토큰, 새 토큰, TTL(초)
+const CLAIM_USER_TOKEN = defineScript(
+  "claimUserToken",
+  `
+if (redis.call('GET', KEYS[1]) or '') ~= ARGV[1] then return 0 end
+redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+return 1
+`,
+  (store, [key], [expected, queueToken, ttlSec]) => {
+    if ((store.get(key) ?? "") !== expected) return 0;
+    store.set(key, queueToken, { EX: Number(ttlSec) });
+    return 1;
+  }
+);
+
+// 대기열 진입 요청 제한 (슬라이딩 윈도우, 0이면 끔). IP 기준은 인증 전에, 사용자 기준은 인증 뒤에 건다
+const ENTER_RATE_WINDOW_SEC = Number(process.env.ENTER_RATE_WINDOW_SEC || 60);
+const ENTER_RATE_LIMIT_PER_IP = Number(process.env.ENTER_RATE_LIMIT_PER_IP || 30);
+const ENTER_RATE_LIMIT_PER_USER = Number(process.env.ENTER_RATE_LIMIT_PER_USER || 10);
+
+// onLimited: 거절을 지표로 남길 때
+const limitByIp = (name, onLimited) =>
+  rateLimit({ name, windowSec: ENTER_RATE_WINDOW_SEC, limit: ENTER_RATE_LIMIT_PER_IP, key: (req) => req.ip, onLimited });
+const limitByUser = (name, onLimited) =>
+  rateLimit({ name, windowSec: ENTER_RATE_WINDOW_SEC, limit: ENTER_RATE_LIMIT_PER_USER, key: (req) => req.user?.id, onLimited });
+const enterRateLimited = () => recordEnterRejected("rate_limited");
+const enterLimitByIp = limitByIp("enter:ip", enterRateLimited);
+const enterLimitByUser = limitByUser("enter:user", enterRateLimited);
+
+// /queue/enter 거절은 사유별로 지표에 남긴다
+function rejectEnter(res, status, body) {
+  recordEnterRejected(body.error);
+  return res.status(status).json(body);
+}
+
+// 같은 유저/공연의 기존 토큰으로 재진입. 토큰이 이미 끝났으면 null
+// 공연 정책이 REQUEUE면 WAITING 토큰을 맨 뒤로 보낸다.
+async function reenterQueue(queueToken, eventId) {
+  const before = await getQueueStatus(queueToken);
+  if (!before || FINAL_STATES.includes(before.status.status)) return null;
+
+  if (before.status.status === "WAITING" && before.status.lottery !== "PENDING") {
+    const { reentryPolicy, queueTokenTtlSec } = await getEventConfig(eventId);
+    if (reentryPolicy === "REQUEUE") {
+      const metaKey = `queue:token:${queueToken}`;
+      const now = Date.now();
+      const meta = {
+        ...JSON.parse(await redis.get(metaKey)),
+        joinedAt: now,
+        expiresAt: now + queueTokenTtlSec * 1000,
+      };
+      await redis.zAdd(queueKey(eventId, meta.lane || DEFAULT_LANE), [{ score: now, value: queueToken }], { XX: true });
+      await redis.set(metaKey, JSON.stringify(meta), { EX: queueTokenTtlSec + STATE_GRACE_SEC });
+      await redis.expire(`queue:state:${queueToken}`, queueTokenTtlSec + STATE_GRACE_SEC);
+      await redis.expire(`queue:user:${eventId}:${meta.userId}`, queueTokenTtlSec);
+    }
+  }
 
-const RESERVATION_TTL_SEC = Number(process.env.RESERVATION_TTL_SEC || 120);
-const router = express.Router();
+  const after = await getQueueStatus(queueToken);
+  return { ...after.status, reentered: true };
+}
 
 /**
  * @swagger
@@ -14,7 +96,20 @@ const router = express.Router();
  *   post:
  *     summary: 대기열 진입
  *     description: 사용자와 공연을 기준으로 대기열에 진입하고, 대기열 토큰을 발급한다. 
- *                  WAITING  →  ADMITTED  →  EXPIRED  →  COMPLETED
+ *                  WAITING  →  ADMITTED  →  RESERVING  →  COMPLETED
+ *                  (예약 세션을 취소하면 CANCELLED, 중간에 시간이 지나면 EXPIRED)
+ *                  사용자는 access 토큰에서 가져온다. 유저당 공연별로 진행 중인 토큰은 하나뿐이라,
+ *                  다시 진입하면 기존 토큰/순번/상태를 돌려준다(reentered=true).
+ *                  공연 정책(reentryPolicy)이 REQUEUE면 기존 토큰이 대기열 맨 뒤로 이동한다.
+ *                  레인은 accessCode가 있으면 코드의 레인(선예매 등), 없으면 관리자가 지정한 레인(접근성 등),
+ *                  둘 다 없으면 general 레인으로 들어간다. 접근 코드는 처음 쓴 사용자만 다시 쓸 수 있다.
+ *                  재진입하면 처음 들어간 레인을 유지한다.
+ *                  공연 정책 lotteryWindowSec이 있으면 오픈 전 그 시간 동안은 진입을 받아 추첨에 참가시키고(lottery=PENDING),
+ *                  오픈 순간 추첨으로 순번을 정한다. 오픈 뒤 진입자는 선착순으로 추첨 참가자 뒤에 선다.
+ *                  공연 정책 powDifficulty가 있으면 GET /queue/challenge로 받은 챌린지를 풀어서 같이 보내야 한다.
+ *                  IP별/사용자별로 요청 수를 제한한다 (넘으면 429 + Retry-After).
+ *     security:
+ *       - bearerAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -22,15 +117,21 @@ const router = express.Router();
  *           schema:
  *             type: object
  *             required:
- *               - userId
  *               - eventId
  *             properties:
- *               userId:
- *                 type: string
- *                 example: "user-001"
  *               eventId:
  *                 type: string
  *                 example: "E01"
+ *               powChallengeId:
+ *                 type: string
+ *                 description: GET /queue/challenge로 받은 challengeId (powDifficulty가 있을 때)
+ *               powSolution:
+ *                 type: string
+ *                 description: sha256("nonce:powSolution")의 앞 difficulty비트가 0이 되는 값
+ *               accessCode:
+ *                 type: string
+ *                 description: 선예매 등 레인 접근 코드
+ *                 example: "9F2C41A7DE"
  *     responses:
  *       200:
  *         description: 대기열 등록 성공
@@ -45,12 +146,28 @@ const router = express.Router();
  *                 status:
  *                   type: string
  *                   example: "WAITING"
+ *                 lane:
+ *                   type: string
+ *                   example: "general"
+ *                 lanePosition:
+ *                   type: integer
+ *                   description: 레인 안 순번
+ *                   example: 8
  *                 position:
  *                   type: integer
+ *                   description: 다른 레인까지 합친 전체 순번 (레인 정책 기준 추정)
  *                   example: 12
+ *                 lottery:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [PENDING, DRAWN]
+ *                   description: 오픈 전 추첨 참가자면 추첨 전 PENDING(순번 없음), 추첨 뒤 DRAWN
  *                 expiresInSec:
  *                   type: integer
  *                   example: 3600
+ *                 reentered:
+ *                   type: boolean
+ *                   description: 기존 토큰을 돌려준 경우 true
  *       400:
  *         description: 필수값 누락
  *         content:
@@ -60,7 +177,33 @@ const router = express.Router();
  *               properties:
  *                 error:
  *                   type: string
- *                   example: "userId is required"
+ *                   example: "eventId is required"
+ *       401:
+ *         description: access 토큰 없음/만료
+ *       403:
+ *         description: |
+ *           판매 기간이 아님 (sale_not_open / sale_closed, 판매 기간 포함)
+ *           또는 접근 코드가 틀림 (invalid_access_code) / 다른 사용자가 이미 씀 (access_code_already_used)
+ *           또는 작업 증명 실패 (pow_required / pow_challenge_expired / pow_difficulty_raised / invalid_pow_solution, difficulty 포함)
+ *           또는 관리자가 새 진입을 막음 (queue_draining) / 매진으로 대기열이 닫힘 (sold_out)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "sale_not_open"
+ *                 saleOpensAt:
+ *                   type: string
+ *                   format: date-time
+ *                 saleClosesAt:
+ *                   type: string
+ *                   format: date-time
+ *       404:
+ *         description: 등록되지 않은 공연 (event_not_found)
+ *       429:
+ *         description: 요청이 너무 많음 (rate_limited). Retry-After 헤더(초) 뒤에 다시 시도
  *       500:
  *         description: 서버 내부 오류
  *         content:
@@ -72,49 +215,110 @@ const router = express.Router();
  *                   type: string
  *                   example: "internal_error"
  */
-router.post("/queue/enter", async (req, res) => {
+router.post("/queue/enter", enterLimitByIp, requireAuth, enterLimitByUser, async (req, res) => {
   try {
-    const { userId, eventId } = req.body || {};
-    if (!userId) return res.status(400).json({ error: "userId is required" });
-    if (!eventId) return res.status(400).json({ error: "eventId is required" });
+    const userId = req.user.id;
+    const { eventId, accessCode, powChallengeId, powSolution } = req.body || {};
+    if (!eventId) return rejectEnter(res, 400, { error: "eventId is required" });
+
+    // 등록된 공연 + 판매 기간 안에서만 진입 가능 (추첨 기간이면 오픈 전이라도 추첨 참가)
+    const event = await getEvent(String(eventId));
+    if (!event) return rejectEnter(res, 404, { error: "event_not_found" });
+    // 관리자가 진입을 막은(drain) 공연
+    if (await isDraining(String(eventId))) return rejectEnter(res, 403, { error: "queue_draining" });
+    if (await isSoldOut(String(eventId))) return rejectEnter(res, 403, { error: "sold_out" });
+
+    const config = await getEventConfig(eventId);
+    const now = Date.now();
+    const lottery = inLotteryWindow(event, config, now);
+    const windowError = lottery ? null : saleWindowError(event, now);
+    if (windowError) {
+      return rejectEnter(res, 403, {
+        error: windowError,
+        saleOpensAt: event.saleOpensAt,
+        saleClosesAt: event.saleClosesAt,
+      });
+    }
+
+    // 작업 증명 (공연 정책 powDifficulty)
+    if (config.powDifficulty > 0) {
+      const powError = await verifyChallenge({
+        eventId: String(eventId),
+        userId,
+        challengeId: powChallengeId,
+        solution: powSolution,
+        difficulty: config.powDifficulty,
+      });
+      if (powError) return rejectEnter(res, 403, { error: powError, difficulty: config.powDifficulty });
+    }
+
+    // 레인은 공연 정책 (기본 general 레인)
+    const { lane, error: laneError } = await resolveLane(eventId, userId, accessCode, config);
+    if (laneError) return rejectEnter(res, 403, { error: laneError });
+
+    // 토큰 유효시간은 공연 정책 (기본 1시간). 추첨 참가자는 오픈 시각부터 센다
+    const startsAt = lottery ? Date.parse(event.saleOpensAt) : now;
+    const expiresAt = startsAt + config.queueTokenTtlSec * 1000;
+    const TTL_SEC = Math.ceil((expiresAt - now) / 1000);
 
     // queueToken 발급
     const queueToken = "q_" + crypto.randomBytes(12).toString("hex");
-    const now = Date.now();
 
     // Redis Key 설계
-    const queueKey = `queue:${eventId}`;          // 공연별 대기열
-    const metaKey = `queue:token:${queueToken}`;  // 토큰 메타
-    const stateKey = `queue:state:${queueToken}`; // 상태
-
-    // 시연용으로 1시간
-    const TTL_SEC = 60 * 60;
+    const laneKey = queueKey(eventId, lane);           // 공연/레인별 대기열
+    const metaKey = `queue:token:${queueToken}`;       // 토큰 메타
+    const stateKey = `queue:state:${queueToken}`;      // 상태
+    const userKey = `queue:user:${eventId}:${userId}`; // 유저별 진행 중 토큰
 
-    // 토큰 메타 저장 (유저/공연/진입시각)
+    // 토큰 메타 저장 (유저/공연/레인/추첨 참가 여부/진입시각/만료시각)
+    // 키는 만료 뒤에도 STATE_GRACE_SEC만큼 남겨 EXPIRED를 보여준다
     await redis.set(
       metaKey,
-      JSON.stringify({ queueToken, userId, eventId, joinedAt: now }),
-      { EX: TTL_SEC }
+      JSON.stringify({ queueToken, userId, eventId, lane, lottery, joinedAt: now, expiresAt }),
+      { EX: TTL_SEC + STATE_GRACE_SEC }
     );
 
     // 상태 저장
-    await redis.set(stateKey, "WAITING", { EX: TTL_SEC });
+    await redis.set(stateKey, "WAITING", { EX: TTL_SEC + STATE_GRACE_SEC });
+
+    // 유저당 토큰 1개: 메타를 먼저 써 둔 뒤 NX로 자리를 잡는다 (동시 요청은 먼저 잡은 쪽이 이김)
+    let claimed = await redis.set(userKey, queueToken, { NX: true, EX: TTL_SEC });
+    while (!claimed) {
+      const existingToken = await redis.get(userKey);
+      const existing = existingToken && (await reenterQueue(existingToken, eventId));
+      if (existing) {
+        await redis.del([metaKey, stateKey]);
+        return res.json(existing);
+      }
+      // 기존 토큰이 끝난 상태(완료/취소/만료)면 새 토큰으로 교체. 그 사이 동시 요청이 먼저 바꿨으면 그 토큰으로 다시 확인한다
+      claimed = Number(await runScript(CLAIM_USER_TOKEN, [userKey], [existingToken ?? "", queueToken, TTL_SEC])) === 1;
+    }
 
-    // 대기열에 등록
-    await redis.zAdd(queueKey, [{ score: now, value: queueToken }]);
+    // 대기열에 등록 (하트비트도 지금부터 시작)
+    // 추첨 참가자는 추첨 대기에 넣고, 추첨 때 대기열로 옮기면서 하트비트를 시작한다
+    // (그 사이 추첨이 마감됐으면 대기열에 선착순으로 들어간다)
+    const pending = lottery && (await joinLottery(eventId, queueToken, lane, now));
+    if (!lottery) await redis.zAdd(laneKey, [{ score: now, value: queueToken }]);
+    if (!pending) await touchHeartbeat(eventId, queueToken);
 
     // 이벤트 발행용 세트에 eventId 추가
     await redis.sAdd("queue:events", eventId);
+    recordAudit({ action: "ENTER", eventId, userId, queueToken, detail: { lane, lottery } });
 
-    // 내 순번 계산
-    const rank = await redis.zRank(queueKey, queueToken);
-    const position = rank === null ? null : rank + 1;
+    // 내 순번 계산 (추첨 전이면 없음)
+    const [{ lanePosition, position }] = pending
+      ? [{ lanePosition: null, position: null }]
+      : await queuePositions(eventId, config, [{ queueToken, lane }]);
 
     return res.json({
       queueToken,
       status: "WAITING",
+      lane,
+      lanePosition,
       position,
+      lottery: lottery ? (pending ? "PENDING" : "DRAWN") : null,
       expiresInSec: TTL_SEC,
+      reentered: false,
     });
   } catch (err) {
     console.error("POST /queue/enter failed:", err);
@@ -122,12 +326,86 @@ router.post("/queue/enter", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /queue/challenge:
+ *   get:
+ *     summary: 대기열 진입용 작업 증명 챌린지 발급
+ *     description: |
+ *       공연 정책 powDifficulty가 0보다 크면 챌린지를 발급한다. sha256("nonce:solution")의 앞 difficulty비트가 0이 되는
+ *       solution을 찾아 /queue/enter에 powChallengeId, powSolution으로 보낸다. 챌린지는 한 번만 쓸 수 있다.
+ *       difficulty가 0이면 challengeId 없이 돌려주며 풀 필요가 없다.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 발급 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 challengeId:
+ *                   type: string
+ *                   nullable: true
+ *                   example: "c_5be0a1f3c2d94e7a8b6f1c20"
+ *                 nonce:
+ *                   type: string
+ *                 difficulty:
+ *                   type: integer
+ *                   example: 18
+ *                 algorithm:
+ *                   type: string
+ *                   example: "sha256"
+ *                 expiresInSec:
+ *                   type: integer
+ *                   example: 120
+ *       400:
+ *         description: eventId 누락
+ *       401:
+ *         description: access 토큰 없음/만료
+ *       404:
+ *         description: 등록되지 않은 공연 (event_not_found)
+ *       429:
+ *         description: 요청이 너무 많음 (rate_limited). Retry-After 헤더(초) 뒤에 다시 시도
+ */
+router.get("/queue/challenge", limitByIp("challenge:ip"), requireAuth, async (req, res) => {
+  try {
+    const { eventId } = req.query;
+    if (!eventId) return res.status(400).json({ error: "eventId is required" });
+
+    const event = await getEvent(String(eventId));
+    if (!event) return res.status(404).json({ error: "event_not_found" });
+
+    const { powDifficulty } = await getEventConfig(event.eventId);
+    if (powDifficulty <= 0) return res.json({ challengeId: null, difficulty: 0 });
+
+    return res.json(await issueChallenge(event.eventId, req.user.id, powDifficulty));
+  } catch (err) {
+    console.error("GET /queue/challenge failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
 /**
  * @swagger
  * /queue/status:
  *   get:
  *     summary: 대기열 상태 조회
- *     description: queueToken으로 현재 상태(WAITING/ADMITTED 등), 순번, 예상 대기시간을 조회한다.
+ *     description: |
+ *       queueToken으로 현재 상태(WAITING/ADMITTED/RESERVING/COMPLETED/CANCELLED/EXPIRED/LEFT/SOLD_OUT), 순번, 예상 대기시간을 조회한다.
+ *       EXPIRED면 expiredReason으로 이유를 알려준다. 본인 토큰만 조회할 수 있다.
+ *       공연이 매진되어 대기열이 닫히면 대기자는 SOLD_OUT이 된다. 매진 대기(waitlist=true) 중이면 순번은 유지된 채 입장이 멈춘다.
+ *       대기 중 조회는 하트비트로도 쓰인다 (공연 정책 heartbeatTimeoutSec).
+ *     security:
+ *       - bearerAuth: []
  *     parameters:
  *       - in: query
  *         name: token
@@ -148,15 +426,69 @@ router.post("/queue/enter", async (req, res) => {
  *                 status:
  *                   type: string
  *                   example: "WAITING"
+ *                 lane:
+ *                   type: string
+ *                   example: "presale"
+ *                 lanePosition:
+ *                   type: integer
+ *                   description: 레인 안 순번
+ *                   example: 30
  *                 position:
  *                   type: integer
+ *                   description: 다른 레인까지 합친 전체 순번 (레인 정책 기준 추정)
  *                   example: 42
  *                 estimatedWaitSec:
  *                   type: integer
+ *                   nullable: true
+ *                   description: |
+ *                     전체 순번과 최근 실제 처리 속도(입장 + 차례가 와서 만료) 기준 예상 대기시간.
+ *                     입장이 멈춰 있으면(일시정지 등) null
  *                   example: 24
+ *                 estimatedWaitRangeSec:
+ *                   type: object
+ *                   nullable: true
+ *                   description: 예상 대기시간 범위 ("약 3~5분" 표시용). 최근 속도와 장기 평균 속도가 벌어질수록 넓어진다. max가 null이면 상한을 알 수 없음
+ *                   properties:
+ *                     min:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 180
+ *                     max:
+ *                       type: integer
+ *                       nullable: true
+ *                       example: 300
+ *                 estimateBasis:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [OBSERVED, POLICY]
+ *                   description: OBSERVED = 실제 처리 속도 기준, POLICY = 아직 관측값이 없어 공연 정책(batchSize/intervalMs) 기준
+ *                 lottery:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [PENDING, DRAWN]
+ *                   description: 오픈 전 추첨 참가자면 추첨 전 PENDING(순번 없음), 추첨 뒤 DRAWN
+ *                 waitlist:
+ *                   type: boolean
+ *                   description: 대기 중인데 남은 좌석이 없어 입장이 멈춘 상태 (취소/선점 만료로 좌석이 돌아오면 이어서 입장)
+ *                 broadcast:
+ *                   type: object
+ *                   nullable: true
+ *                   description: 대기 중일 때 보여줄 관리자 공지
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                       example: "결제 시스템 점검으로 입장이 잠시 멈췄습니다."
+ *                     postedAt:
+ *                       type: string
+ *                       format: date-time
  *                 expiresInSec:
  *                   type: integer
  *                   example: 3500
+ *                 expiredReason:
+ *                   type: string
+ *                   nullable: true
+ *                   enum: [QUEUE_TTL, ADMISSION_NOT_USED, RESERVATION_TTL, HEARTBEAT_TIMEOUT, EVICTED]
+ *                   description: status가 EXPIRED일 때 이유
  *                 admissionToken:
  *                   type: string
  *                   nullable: true
@@ -165,71 +497,173 @@ router.post("/queue/enter", async (req, res) => {
  *                   nullable: true
  *       400:
  *         description: token 누락
+ *       401:
+ *         description: access 토큰 없음/만료
+ *       403:
+ *         description: 다른 사용자의 토큰
  *       404:
  *         description: token not found
  */
-router.get("/queue/status", async (req, res) => {
+router.get("/queue/status", requireAuth, async (req, res) => {
   try {
     const token = req.query.token;
     if (!token) return res.status(400).json({ error: "token is required" });
 
-    const metaKey = `queue:token:${token}`;
-    const stateKey = `queue:state:${token}`;
+    const snapshot = await getQueueStatus(token);
+    if (!snapshot) return res.status(404).json({ error: "token_not_found" });
+    if (snapshot.userId !== req.user.id) return res.status(403).json({ error: "forbidden" });
 
-    const metaJson = await redis.get(metaKey);
-    if (!metaJson) return res.status(404).json({ error: "token_not_found" });
+    // 상태 조회가 곧 하트비트
+    if (snapshot.status.status === "WAITING" && snapshot.status.lottery !== "PENDING") {
+      await touchHeartbeat(snapshot.eventId, token);
+    }
 
-    const meta = JSON.parse(metaJson);
-    const { eventId } = meta;
+    return res.json(snapshot.status);
+  } catch (err) {
+    console.error("GET /queue/status failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
 
-    const status = (await redis.get(stateKey)) || "WAITING";
+/**
+ * @swagger
+ * /queue/stream:
+ *   get:
+ *     summary: 대기열 실시간 알림 (Server-Sent Events)
+ *     description: |
+ *       /queue/status 폴링 대신 쓰는 푸시 채널. 연결 직후 status 이벤트로 현재 상태를 보내고,
+ *       이후 position(순번 변경), admitted(입장, admissionToken/admissionUrl 포함), expired(만료), left(나가기),
+ *       sold_out(매진으로 대기열이 닫힘), waitlist(매진 대기로 입장이 멈춤/이어짐) 이벤트를 보낸다.
+ *       대기 중이면 관리자 공지가 바뀔 때 broadcast 이벤트도 보낸다.
+ *       연결이 유지되는 동안은 하트비트가 계속 갱신된다.
+ *       EventSource는 헤더를 못 붙이므로 access 토큰은 Authorization 헤더 또는 accessToken 쿼리로 받는다.
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "q_f59389c651690733dfe705fa"
+ *       - in: query
+ *         name: accessToken
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: text/event-stream
+ *       400:
+ *         description: token 누락
+ *       401:
+ *         description: access 토큰 없음/만료
+ *       403:
+ *         description: 다른 사용자의 토큰
+ *       404:
+ *         description: token not found
+ */
+router.get("/queue/stream", async (req, res) => {
+  try {
+    const token = req.query.token;
+    if (!token) return res.status(400).json({ error: "token is required" });
 
-    // 남은 유효시간(초) - metaKey TTL 기준
-    const ttlSec = await redis.ttl(metaKey); // -1, -2 일 수 있음
-    const expiresInSec = ttlSec > 0 ? ttlSec : 0;
+    const accessToken = bearerToken(req) || req.query.accessToken;
+    if (!accessToken) return res.status(401).json({ error: "missing_access_token" });
+    const user = await authenticate(String(accessToken));
+    if (!user) return res.status(401).json({ error: "invalid_or_expired_access_token" });
 
-    // 현재 순번 계산
-    const queueKey = `queue:${eventId}`;
-    const rank = await redis.zRank(queueKey, token);
-    const position = rank === null ? null : rank + 1;
+    const snapshot = await getQueueStatus(String(token));
+    if (!snapshot) return res.status(404).json({ error: "token_not_found" });
+    if (snapshot.userId !== user.id) return res.status(403).json({ error: "forbidden" });
 
-    // 예상 대기시간 계산:
-    // "10초마다 5명 입장" 가정 => 초당 5/10명 처리
-    // 내 앞 사람 수 = position-1
-    const BATCH_SIZE = Number(process.env.QUEUE_BATCH_SIZE || 5);
-    const BATCH_INTERVAL_SEC = Number(process.env.QUEUE_BATCH_INTERVAL_SEC || 10);
-    const perSec = BATCH_SIZE / BATCH_INTERVAL_SEC;
+    openQueueStream(req, res, snapshot);
+  } catch (err) {
+    console.error("GET /queue/stream failed:", err);
+    if (!res.headersSent) return res.status(500).json({ error: "internal_error" });
+    res.end();
+  }
+});
 
-    let estimatedWaitSec = null;
-    if (position !== null && status === "WAITING") {
-      const ahead = Math.max(position - 1, 0);
-      estimatedWaitSec = Math.ceil(ahead / perSec);
+/**
+ * @swagger
+ * /queue/leave:
+ *   post:
+ *     summary: 대기열 나가기
+ *     description: |
+ *       대기 중(WAITING)이면 대기열에서 빠지고, 입장 직후(ADMITTED)면 admissionToken을 반납해 다음 사람에게 자리를 넘긴다.
+ *       토큰은 LEFT 상태가 되고, 이후 /queue/enter는 새 토큰을 발급한다. 이미 끝난 토큰이면 현재 상태를 그대로 돌려준다.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - queueToken
+ *             properties:
+ *               queueToken:
+ *                 type: string
+ *                 example: "q_f59389c651690733dfe705fa"
+ *     responses:
+ *       200:
+ *         description: 나가기 성공 (또는 이미 끝난 토큰)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 queueToken:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "LEFT"
+ *       400:
+ *         description: queueToken 누락
+ *       401:
+ *         description: access 토큰 없음/만료
+ *       403:
+ *         description: 다른 사용자의 토큰
+ *       404:
+ *         description: token not found
+ *       409:
+ *         description: 예약 세션 진행 중 (/reservation/cancel 사용)
+ */
+router.post("/queue/leave", requireAuth, async (req, res) => {
+  try {
+    const { queueToken } = req.body || {};
+    if (!queueToken) return res.status(400).json({ error: "queueToken is required" });
+
+    const snapshot = await getQueueStatus(queueToken);
+    if (!snapshot) return res.status(404).json({ error: "token_not_found" });
+    if (snapshot.userId !== req.user.id) return res.status(403).json({ error: "forbidden" });
+
+    const { eventId } = snapshot;
+    const { status } = snapshot.status;
+    if (status === "RESERVING") return res.status(409).json({ error: "reservation_in_progress" });
+    if (FINAL_STATES.includes(status)) return res.json({ queueToken, status });
+
+    if (status === "WAITING") {
+      await redis.zRem(queueKey(eventId, snapshot.status.lane), queueToken);
+      await leaveLottery(eventId, queueToken);
+    } else if (status === "ADMITTED") {
+      // 안 쓴 입장권 반납 → 동시 입장 자리가 바로 빈다
+      const admissionToken = await redis.get(`queue:admission:${queueToken}`);
+      if (admissionToken) await redis.del(`admission:${admissionToken}`);
+      await redis.del(`queue:admission:${queueToken}`);
+      await releaseActive(eventId, queueToken);
     }
 
-    // ADMITTED 상태면 admissionToken/admissionUrl도 내려주기
-    // worker가 아래 키를 만들어주면 됨:
-    // queue:admission:{queueToken} = admissionToken (TTL 120 등)
-    let admissionToken = null;
-    let admissionUrl = null;
+    await redis.zRem(heartbeatKey(eventId), queueToken);
+    await redis.set(`queue:state:${queueToken}`, "LEFT", { EX: STATE_GRACE_SEC });
+    await redis.del(`queue:user:${eventId}:${req.user.id}`);
 
-    if (status === "ADMITTED") {
-      admissionToken = await redis.get(`queue:admission:${token}`);
-      if (admissionToken) {
-        admissionUrl = `/reserve?admissionToken=${encodeURIComponent(admissionToken)}`;
-      }
-    }
+    await publishQueueUpdate({ type: "LEFT", eventId, queueToken });
+    recordAudit({ action: "LEAVE", eventId, userId: req.user.id, queueToken, detail: { status } });
+    if (status === "WAITING") await publishQueueUpdate({ type: "ADVANCED", eventId });
 
-    return res.json({
-      queueToken: token,
-      status,
-      position,
-      estimatedWaitSec,
-      expiresInSec,
-      admissionToken,
-      admissionUrl,
-    });
+    return res.json({ queueToken, status: "LEFT" });
   } catch (err) {
-    console.error("GET /queue/status failed:", err);
+    console.error("POST /queue/leave failed:", err);
     return res.status(500).json({ error: "internal_error" });
   }
 });
@@ -239,7 +673,9 @@ router.get("/queue/status", async (req, res) => {
   * /reservation/start:
   *   post:
   *     summary: 입장 토큰 검증 및 예매(예약) 세션 시작
-  *     description: admissionToken을 검증하고, 유효하면 reservationId를 발급한다.
+  *     description: admissionToken을 검증하고, 유효하면 reservationId를 발급한다. 입장한 본인만 사용할 수 있다.
+  *     security:
+  *       - bearerAuth: []
   *     requestBody:
   *       required: true
   *       content:
@@ -273,27 +709,36 @@ router.get("/queue/status", async (req, res) => {
   *                   type: string
   *                   example: "E01"
   *       401:
-  *         description: admissionToken이 유효하지 않음(만료/존재하지 않음)
+  *         description: admissionToken이 유효하지 않음(만료/존재하지 않음) / access 토큰 없음
+  *       403:
+  *         description: 다른 사용자에게 발급된 admissionToken
   *       400:
   *         description: admissionToken 누락
   */
-router.post("/reservation/start", async (req, res) => {
+router.post("/reservation/start", requireAuth, async (req, res) => {
   try {
     const { admissionToken } = req.body || {};
     if (!admissionToken)
       return res.status(400).json({ error: "admissionToken is required" });
 
-    // admissionToken 검증 (없으면 만료/위조/미발급)
+    // admissionToken 검증 (없으면 만료/위조/미발급/이미 사용)
+    // 꺼내면서 지워서 같은 입장권으로 동시에 들어와도 한 요청만 예약 세션을 연다
     const admissionKey = `admission:${admissionToken}`;
-    const payloadJson = await redis.get(admissionKey);
+    const [ttlMs, payloadJson] = await redis.multi().pTTL(admissionKey).getDel(admissionKey).exec();
     if (!payloadJson) {
       return res.status(401).json({ error: "invalid_or_expired_admissionToken" });
     }
 
     const payload = JSON.parse(payloadJson);
     const { queueToken, userId, eventId } = payload;
+    if (userId !== req.user.id) {
+      // 다른 사용자가 보낸 입장권은 주인이 쓸 수 있게 남은 시간 그대로 돌려놓는다
+      if (ttlMs > 0) await redis.set(admissionKey, payloadJson, { NX: true, PX: ttlMs });
+      return res.status(403).json({ error: "forbidden" });
+    }
 
-    // reservationId 발급 + 예약 세션 저장 (TTL 120초)
+    // reservationId 발급 + 예약 세션 저장 (TTL = 공연 정책 reservationTtlSec)
+    const { reservationTtlSec } = await getEventConfig(eventId);
     const reservationId = "r_" + crypto.randomBytes(10).toString("hex");
     const reservationKey = `reservation:${reservationId}`;
 
@@ -307,14 +752,18 @@ router.post("/reservation/start", async (req, res) => {
         eventId,
         startedAt: Date.now(),
       }),
-      { EX: RESERVATION_TTL_SEC }
+      { EX: reservationTtlSec }
     );
 
-    await redis.del(admissionKey);
+    await redis.set(`queue:state:${queueToken}`, "RESERVING", { EX: reservationTtlSec + STATE_GRACE_SEC });
+    // 동시 입장 인원 자리는 예약 세션이 끝날 때까지 유지
+    await trackActive(eventId, queueToken, reservationTtlSec);
+    await recordReservation(eventId, "started");
+    recordAudit({ action: "RESERVATION_START", eventId, userId, queueToken, reservationId });
 
     return res.json({
       reservationId,
-      expiresInSec: RESERVATION_TTL_SEC,
+      expiresInSec: reservationTtlSec,
       userId,
       eventId,
     });
@@ -324,6 +773,406 @@ router.post("/reservation/start", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /events/{eventId}/seats:
+ *   get:
+ *     summary: 좌석 맵 조회
+ *     description: 공연의 전체 좌석과 상태(AVAILABLE/HELD/SOLD)를 조회한다.
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                   example: "E01"
+ *                 seats:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       seatId:
+ *                         type: string
+ *                         example: "A1-1"
+ *                       section:
+ *                         type: string
+ *                         example: "A"
+ *                       row:
+ *                         type: string
+ *                         example: "1"
+ *                       number:
+ *                         type: integer
+ *                         example: 1
+ *                       price:
+ *                         type: integer
+ *                         example: 110000
+ *                       status:
+ *                         type: string
+ *                         example: "AVAILABLE"
+ *       404:
+ *         description: 좌석 정보가 없는 공연
+ */
+router.get("/events/:eventId/seats", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const seats = await listSeats(eventId);
+    if (!seats.length) return res.status(404).json({ error: "seats_not_found" });
+
+    return res.json({ eventId, seats });
+  } catch (err) {
+    console.error("GET /events/:eventId/seats failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /events/{eventId}/lottery:
+ *   get:
+ *     summary: 오픈 전 추첨 정보 조회
+ *     description: |
+ *       추첨 전(OPEN)에는 시드의 sha256(seedHash)과 참가자 수만, 추첨 뒤(DRAWN)에는 시드도 공개한다.
+ *       추첨 순서는 참가 queueToken을 HMAC-SHA256(seed, queueToken) 오름차순으로 정렬한 것이라,
+ *       공개된 seed가 seedHash와 맞는지, 내 토큰의 값이 어디쯤인지 직접 확인할 수 있다.
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "E01"
+ *     responses:
+ *       200:
+ *         description: 조회 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 eventId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [OPEN, DRAWN]
+ *                 seedHash:
+ *                   type: string
+ *                 seed:
+ *                   type: string
+ *                   nullable: true
+ *                 participants:
+ *                   type: integer
+ *                   example: 1200
+ *                 drawnAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       404:
+ *         description: 추첨 참가자가 없는 공연 (lottery_not_found)
+ */
+router.get("/events/:eventId/lottery", async (req, res) => {
+  try {
+    const info = await getLotteryInfo(req.params.eventId);
+    if (!info) return res.status(404).json({ error: "lottery_not_found" });
+
+    return res.json(info);
+  } catch (err) {
+    console.error("GET /events/:eventId/lottery failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /reservation/seats/hold:
+ *   post:
+ *     summary: 좌석 선점
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       예약 세션으로 좌석을 선점한다. 선점은 예약 세션의 남은 TTL 동안만 유지되고,
+ *       세션이 만료되면 자동으로 풀린다. 요청한 좌석 중 하나라도 잡지 못하면 아무것도 선점하지 않는다.
+ *       공연 정원(capacity)과 공연 정책 maxTicketsPerUser(이 사용자의 모든 예약 세션 선점 + 구매 합계)를 넘으면 거절한다.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *               - seatIds
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "r_9f8e7d6c"
+ *               seatIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["A1-1", "A1-2"]
+ *     responses:
+ *       200:
+ *         description: 선점 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reservationId:
+ *                   type: string
+ *                 seatIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 expiresInSec:
+ *                   type: integer
+ *                   example: 95
+ *       400:
+ *         description: 필수값 누락 / 좌석 수 초과
+ *       401:
+ *         description: 예약 세션 만료 또는 없음 / access 토큰 없음
+ *       403:
+ *         description: 다른 사용자의 예약 세션
+ *       404:
+ *         description: 존재하지 않는 좌석
+ *       409:
+ *         description: |
+ *           이미 선점되었거나 판매된 좌석 (seat_already_held / seat_already_sold),
+ *           공연 정원 초과 (sold_out), 사용자 구매 한도 초과 (ticket_limit_exceeded, maxTicketsPerUser 포함)
+ */
+router.post("/reservation/seats/hold", requireAuth, async (req, res) => {
+  try {
+    const { reservationId, seatIds } = req.body || {};
+    if (!reservationId) return res.status(400).json({ error: "reservationId is required" });
+    if (!Array.isArray(seatIds) || seatIds.length === 0)
+      return res.status(400).json({ error: "seatIds is required" });
+
+    const reservation = await loadReservation(reservationId);
+    if (!reservation || reservation.ttlMs <= 0) {
+      return res.status(401).json({ error: "invalid_or_expired_reservation" });
+    }
+    if (reservation.session.userId !== req.user.id) return res.status(403).json({ error: "forbidden" });
+
+    const held = await holdSeats({
+      reservationId,
+      eventId: reservation.session.eventId,
+      userId: reservation.session.userId,
+      seatIds,
+      ttlMs: reservation.ttlMs,
+    });
+
+    return res.json({
+      reservationId,
+      seatIds: held,
+      expiresInSec: Math.ceil(reservation.ttlMs / 1000),
+    });
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error("POST /reservation/seats/hold failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /reservation/seats/release:
+ *   post:
+ *     summary: 좌석 선점 해제
+ *     security:
+ *       - bearerAuth: []
+ *     description: 예약 세션이 선점한 좌석을 놓는다. seatIds를 생략하면 전부 해제한다.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "r_9f8e7d6c"
+ *               seatIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["A1-2"]
+ *     responses:
+ *       200:
+ *         description: 해제 후 남은 선점 좌석
+ *       400:
+ *         description: reservationId 누락
+ *       401:
+ *         description: 예약 세션 만료 또는 없음 / access 토큰 없음
+ *       403:
+ *         description: 다른 사용자의 예약 세션
+ */
+router.post("/reservation/seats/release", requireAuth, async (req, res) => {
+  try {
+    const { reservationId, seatIds } = req.body || {};
+    if (!reservationId) return res.status(400).json({ error: "reservationId is required" });
+
+    const reservation = await loadReservation(reservationId);
+    if (!reservation) {
+      return res.status(401).json({ error: "invalid_or_expired_reservation" });
+    }
+    if (reservation.session.userId !== req.user.id) return res.status(403).json({ error: "forbidden" });
+
+    const targets = Array.isArray(seatIds) ? seatIds.map(String) : await getHeldSeats(reservationId);
+    const held = await releaseSeats({
+      reservationId,
+      eventId: reservation.session.eventId,
+      userId: reservation.session.userId,
+      seatIds: targets,
+    });
+
+    return res.json({ reservationId, seatIds: held });
+  } catch (err) {
+    console.error("POST /reservation/seats/release failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /reservation/confirm:
+ *   post:
+ *     summary: 예약 확정
+ *     security:
+ *       - bearerAuth: []
+ *     description: |
+ *       예약 세션이 선점한 좌석을 한 트랜잭션으로 확정(reservations 저장)하고 대기열 토큰을 COMPLETED로 바꾼다.
+ *       같은 reservationId로 재시도하면 처음 확정 결과를 그대로 돌려준다.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "r_9f8e7d6c"
+ *     responses:
+ *       200:
+ *         description: 확정 성공 (또는 이미 확정됨)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reservationId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "COMPLETED"
+ *                 eventId:
+ *                   type: string
+ *                 userId:
+ *                   type: string
+ *                 seatIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 confirmedAt:
+ *                   type: integer
+ *       400:
+ *         description: reservationId 누락 / 선점한 좌석 없음
+ *       401:
+ *         description: 예약 세션 만료 또는 없음 / access 토큰 없음
+ *       403:
+ *         description: 다른 사용자의 예약 세션
+ *       409:
+ *         description: 선점 만료, 이미 판매된 좌석, 취소된 세션, 확정 처리 중, 공연 정원 초과(sold_out), 사용자 구매 한도 초과(ticket_limit_exceeded)
+ */
+router.post("/reservation/confirm", requireAuth, async (req, res) => {
+  try {
+    const { reservationId } = req.body || {};
+    if (!reservationId) return res.status(400).json({ error: "reservationId is required" });
+
+    const result = await confirmReservation(reservationId, req.user.id);
+    return res.json(result);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error("POST /reservation/confirm failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /reservation/cancel:
+ *   post:
+ *     summary: 예약 취소
+ *     security:
+ *       - bearerAuth: []
+ *     description: 예약 세션을 닫고 선점한 좌석을 모두 해제한다. 대기열 토큰은 CANCELLED가 된다.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reservationId
+ *             properties:
+ *               reservationId:
+ *                 type: string
+ *                 example: "r_9f8e7d6c"
+ *     responses:
+ *       200:
+ *         description: 취소 성공 (또는 이미 취소됨)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reservationId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   example: "CANCELLED"
+ *                 releasedSeatIds:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       400:
+ *         description: reservationId 누락
+ *       401:
+ *         description: 예약 세션 만료 또는 없음 / access 토큰 없음
+ *       403:
+ *         description: 다른 사용자의 예약 세션
+ *       409:
+ *         description: 이미 확정된 세션 / 확정 처리 중
+ */
+router.post("/reservation/cancel", requireAuth, async (req, res) => {
+  try {
+    const { reservationId } = req.body || {};
+    if (!reservationId) return res.status(400).json({ error: "reservationId is required" });
+
+    const result = await cancelReservation(reservationId, req.user.id);
+    return res.json(result);
+  } catch (err) {
+    if (err instanceof ApiError) return sendApiError(res, err);
+    console.error("POST /reservation/cancel failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
 // GET /queue
 // router.get("/queue", async (req, res) => {
 //   try {
@@ -340,6 +1189,10 @@ router.post("/reservation/start", async (req, res) => {
 //   }
 // });
 
+// 카카오 OAuth 주소 (테스트에서는 가짜 서버로 바꾼다)
+const kakaoAuthUrl = () => process.env.KAKAO_AUTH_BASE_URL || "https://kauth.kakao.com";
+const kakaoApiUrl = () => process.env.KAKAO_API_BASE_URL || "https://kapi.kakao.com";
+
 
 /**
  * @swagger
@@ -367,7 +1220,7 @@ router.get("/auth/kakao", async (req, res) => {
   await redis.set(`oauth:kakao:state:${state}`, "1", { EX: 300 }); // 5분
 
   const authorizeUrl =
-    `https://kauth.kakao.com/oauth/authorize` +
+    `${kakaoAuthUrl()}/oauth/authorize` +
     `?response_type=code` +
     `&client_id=${encodeURIComponent(clientId)}` +
     `&redirect_uri=${encodeURIComponent(redirectUri)}` +
@@ -377,6 +1230,10 @@ router.get("/auth/kakao", async (req, res) => {
 
 });
 
+// <script> 안에 넣을 JSON. 닉네임 등에 "</script>"가 있어도 스크립트 블록을 닫지 못하게 < > &를 이스케이프한다
+const scriptJson = (value) =>
+  JSON.stringify(value).replace(/</g, "\\u003c").replace(/>/g, "\\u003e").replace(/&/g, "\\u0026");
+
 
 /**
  * @swagger
@@ -386,6 +1243,7 @@ router.get("/auth/kakao", async (req, res) => {
  *     description: |
  *       카카오가 redirect_uri로 인가 코드를 전달하면, 서버가 토큰 교환 후 사용자 정보를 조회하고 DB에 저장합니다.
  *       일반적으로 사용자가 직접 호출하지 않고, 카카오 로그인 흐름에서 자동으로 호출됩니다.
+ *       로그인 결과(user + accessToken/refreshToken)는 팝업을 연 부모창에 postMessage로 전달됩니다.
  *     parameters:
  *       - in: query
  *         name: code
@@ -433,7 +1291,7 @@ router.get("/auth/kakao/callback", async (req, res) => {
     });
     if (clientSecret) body.set("client_secret", clientSecret);
 
-    const tokenResp = await fetch("https://kauth.kakao.com/oauth/token", {
+    const tokenResp = await fetch(`${kakaoAuthUrl()}/oauth/token`, {
       method: "POST",
       headers: { "Content-Type": "application/x-www-form-urlencoded;charset=utf-8" },
       body,
@@ -447,7 +1305,7 @@ router.get("/auth/kakao/callback", async (req, res) => {
     const accessToken = tokenJson.access_token;
 
     // 2) 사용자 정보 조회
-    const meResp = await fetch("https://kapi.kakao.com/v2/user/me", {
+    const meResp = await fetch(`${kakaoApiUrl()}/v2/user/me`, {
       headers: { Authorization: `Bearer ${accessToken}` },
     });
     const meJson = await meResp.json();
@@ -507,6 +1365,7 @@ router.get("/auth/kakao/callback", async (req, res) => {
         nickname: userRow.nickname,
         gender: userRow.gender,
       },
+      ...issueTokens(userRow),
     };
 
     res.setHeader("Content-Type", "text/html; charset=utf-8");
@@ -521,8 +1380,8 @@ router.get("/auth/kakao/callback", async (req, res) => {
           <script>
             (function () {
               try {
-                var data = ${JSON.stringify(payload)};
-                var targetOrigin = ${JSON.stringify(frontendOrigin)};
+                var data = ${scriptJson(payload)};
+                var targetOrigin = ${scriptJson(frontendOrigin)};
                 if (window.opener && !window.opener.closed) {
                   window.opener.postMessage(data, targetOrigin);
                 }
@@ -605,7 +1464,6 @@ router.post("/auth/login", async (req, res) => {
     const ok = await bcrypt.compare(password, user.password);
     if (!ok) return res.status(401).json({ error: "invalid_credentials" });
 
-    // 다음 단계에서 JWT 발급할 예정. 지금은 성공 응답만.
     return res.json({
       ok: true,
       user: {
@@ -615,6 +1473,7 @@ router.post("/auth/login", async (req, res) => {
         nickname: user.nickname,
         gender: user.gender,
       },
+      ...issueTokens(user),
     });
   } catch (err) {
     console.error("POST /auth/login failed:", err);
@@ -622,4 +1481,90 @@ router.post("/auth/login", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: 토큰 재발급
+ *     description: refresh 토큰으로 새 access/refresh 토큰을 발급한다. 사용한 refresh 토큰은 폐기된다.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 재발급 성공
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tokenType:
+ *                   type: string
+ *                   example: "Bearer"
+ *                 accessToken:
+ *                   type: string
+ *                 refreshToken:
+ *                   type: string
+ *                 expiresInSec:
+ *                   type: integer
+ *                   example: 900
+ *       400:
+ *         description: refreshToken 누락
+ *       401:
+ *         description: refresh 토큰이 유효하지 않음(만료/폐기/위조)
+ */
+router.post("/auth/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) return res.status(400).json({ error: "refreshToken is required" });
+
+    const tokens = await refreshTokens(refreshToken);
+    if (!tokens) return res.status(401).json({ error: "invalid_or_expired_refresh_token" });
+
+    return res.json(tokens);
+  } catch (err) {
+    console.error("POST /auth/refresh failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: 로그아웃
+ *     description: Authorization 헤더의 access 토큰과 body의 refresh 토큰을 폐기한다.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 로그아웃 성공
+ */
+router.post("/auth/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    await revokeTokens({ accessToken: bearerToken(req), refreshToken });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("POST /auth/logout failed:", err);
+    return res.status(500).json({ error: "internal_error" });
+  }
+});
+
 export default router;
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+import { redis } from "./redisClient.js";
+
+// Lua 스크립트: 여러 Redis 명령을 한 번에 원자적으로 실행할 때 쓴다.
+// EVALSHA로 실행하고, 서버에 스크립트가 없으면(NOSCRIPT) EVAL로 올린다.
+// local(store, keys, args)은 메모리 저장소(memoryRedis.js)용으로 같은 동작을 JS로 적은 것이다.
+// args는 Lua처럼 문자열로 받고, 반환도 Lua 응답 모양(정수, 문자열, null, 배열)을 맞춘다.
+// 스크립트가 쓰는 키는 모두 KEYS로 넘긴다 (메모리 저장소는 KEYS에 없는 키를 쓰면 실패시킨다).
+
+// 이름 -> 스크립트. Lua와 JS 구현이 같은 결과를 내는지 실제 Redis로 확인하는 테스트(test/luaScripts.test.js)가 쓴다
+export const scripts = new Map();
+
+export function defineScript(name, lua, local) {
+  const script = { name, lua, local, sha: crypto.createHash("sha1").update(lua).digest("hex") };
+  scripts.set(name, script);
+  return script;
+}
+
+export async function runScript(script, keys, args) {
+  const options = { keys, arguments: args.map(String) };
+  if (redis.runLocal) return redis.runLocal(script, keys, options.arguments);
+  try {
+    return await redis.evalSha(script.sha, options);
+  } catch (err) {
+    if (!String(err?.message).startsWith("NOSCRIPT")) throw err;
+    return redis.eval(script.lua, options);
+  }
+}
@@ -0,0 +1,120 @@
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+import { ApiError } from "./errors.js";
+import { reserveTickets, releaseTickets } from "./tickets.js";
+import { defineScript, runScript } from "./scripts.js";
+
+// 한 예약 세션이 동시에 잡을 수 있는 최대 좌석 수
+export const MAX_SEATS_PER_RESERVATION = Number(process.env.MAX_SEATS_PER_RESERVATION || 4);
+
+// Redis Key 설계
+// seat:hold:{eventId}:{seatId}      = reservationId (TTL = 예약 세션 남은 시간)
+// reservation:seats:{reservationId} = 세션이 잡고 있는 seatId 세트 (TTL 동일)
+export const seatHoldKey = (eventId, seatId) => `seat:hold:${eventId}:${seatId}`;
+export const reservationSeatsKey = (reservationId) => `reservation:seats:${reservationId}`;
+
+// 이 세션이 잡은 선점만 지운다 (확인과 삭제 사이에 만료돼 다른 세션이 잡은 좌석은 건드리지 않는다)
+// KEYS: seat:hold:{eventId}:{seatId}... / ARGV: reservationId
+const RELEASE_HOLDS = defineScript(
+  "releaseSeatHolds",
+  `
+local released = 0
+for i = 1, #KEYS do
+  if redis.call('GET', KEYS[i]) == ARGV[1] then
+    released = released + redis.call('DEL', KEYS[i])
+  end
+end
+return released
+`,
+  (store, keys, [reservationId]) => keys.filter((key) => store.get(key) === reservationId && store.del(key) === 1).length
+);
+
+// 좌석 맵 조회: DB 인벤토리 + 판매 여부 + Redis 선점 여부
+// 열 이름은 길이 → 글자 순으로 정렬한다 ("2" < "10", "Z" < "AA")
+export async function listSeats(eventId) {
+  const r = await pool.query(
+    `SELECT s.seat_id, s.section, s.row_label, s.seat_number, s.price,
+            (rv.id IS NOT NULL) AS sold
+     FROM seats s
+     LEFT JOIN reservations rv
+       ON rv.event_id = s.event_id AND rv.seat_id = s.seat_id
+     WHERE s.event_id = $1
+     ORDER BY s.section, LENGTH(s.row_label), s.row_label, s.seat_number`,
+    [eventId]
+  );
+  if (r.rowCount === 0) return [];
+
+  const holds = await redis.mGet(r.rows.map((row) => seatHoldKey(eventId, row.seat_id)));
+
+  return r.rows.map((row, i) => ({
+    seatId: row.seat_id,
+    section: row.section,
+    row: row.row_label,
+    number: row.seat_number,
+    price: row.price,
+    status: row.sold ? "SOLD" : holds[i] ? "HELD" : "AVAILABLE",
+  }));
+}
+
+export async function getHeldSeats(reservationId) {
+  const seatIds = await redis.sMembers(reservationSeatsKey(reservationId));
+  return seatIds.sort();
+}
+
+// 좌석 선점: 전부 잡거나 전부 실패 (SET NX라서 두 세션이 같은 좌석을 동시에 잡을 수 없음)
+// 좌석을 잡기 전에 공연 정원과 사용자 구매 한도 안인지 먼저 확인한다 (tickets.js)
+export async function holdSeats({ reservationId, eventId, userId, seatIds, ttlMs }) {
+  const requested = [...new Set(seatIds.map(String))];
+
+  const already = await getHeldSeats(reservationId);
+  const toHold = requested.filter((seatId) => !already.includes(seatId));
+  if (already.length + toHold.length > MAX_SEATS_PER_RESERVATION) {
+    throw new ApiError(400, "too_many_seats", { max: MAX_SEATS_PER_RESERVATION });
+  }
+  if (toHold.length === 0) return already;
+
+  // 존재하지 않거나 이미 판매된 좌석은 선점 대상이 아님
+  const r = await pool.query(
+    `SELECT s.seat_id, (rv.id IS NOT NULL) AS sold
+     FROM seats s
+     LEFT JOIN reservations rv
+       ON rv.event_id = s.event_id AND rv.seat_id = s.seat_id
+     WHERE s.event_id = $1 AND s.seat_id = ANY($2)`,
+    [eventId, toHold]
+  );
+  const found = new Map(r.rows.map((row) => [row.seat_id, row.sold]));
+  const unknown = toHold.filter((seatId) => !found.has(seatId));
+  if (unknown.length) throw new ApiError(404, "seat_not_found", { seatIds: unknown });
+  const sold = toHold.filter((seatId) => found.get(seatId));
+  if (sold.length) throw new ApiError(409, "seat_already_sold", { seatIds: sold });
+
+  await reserveTickets({ eventId, userId, reservationId, seatIds: toHold, ttlMs });
+
+  const acquired = [];
+  for (const seatId of toHold) {
+    const ok = await redis.set(seatHoldKey(eventId, seatId), reservationId, { NX: true, PX: ttlMs });
+    if (!ok) {
+      // 일부만 잡힌 경우 롤백
+      await releaseSeats({ reservationId, eventId, userId, seatIds: acquired });
+      await releaseTickets({ eventId, userId, reservationId, seatIds: toHold });
+      throw new ApiError(409, "seat_already_held", { seatIds: [seatId] });
+    }
+    acquired.push(seatId);
+  }
+
+  const setKey = reservationSeatsKey(reservationId);
+  await redis.sAdd(setKey, acquired);
+  await redis.pExpire(setKey, ttlMs);
+
+  return getHeldSeats(reservationId);
+}
+
+// 좌석 선점 해제: 이 세션이 잡은 좌석만 지운다
+export async function releaseSeats({ reservationId, eventId, userId, seatIds }) {
+  if (seatIds.length) {
+    await runScript(RELEASE_HOLDS, seatIds.map((seatId) => seatHoldKey(eventId, seatId)), [reservationId]);
+    await redis.sRem(reservationSeatsKey(reservationId), seatIds);
+  }
+  await releaseTickets({ eventId, userId, reservationId, seatIds });
+  return getHeldSeats(reservationId);
+}
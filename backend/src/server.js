@@ -1,98 +1,31 @@
 import "dotenv/config";
-import express from "express";
-import cors from "cors";
-import router from "./routes.js";
-import crypto from "crypto";
+import { createApp } from "./app.js";
 //redis도 같이 가져오기
-import { initRedis, redis } from "./redisClient.js"; 
-
-import swaggerUi from "swagger-ui-express";
-import { swaggerSpec } from "./swagger.js";
+import { initRedis } from "./redisClient.js"; 
+import { createAdmitter } from "./admitter.js";
+import { startSweeper } from "./sweeper.js";
+import { startAuditFlusher } from "./audit.js";
+import { initQueueStream } from "./queueStream.js";
 import { pool } from "./db.js";
+import { migrateUp } from "./migrate.js";
 
-const BATCH_SIZE = Number(process.env.QUEUE_BATCH_SIZE || 5);
-const INTERVAL_MS = Number(process.env.QUEUE_BATCH_INTERVAL_MS || 3000);
-const ADMISSION_TTL_SEC = Number(process.env.ADMISSION_TTL_SEC || 120);
-
-const app = express();
 const port = Number(process.env.PORT || 3000);
 
-//frontend 
-const allowOrigin = process.env.FRONTEND_ORIGIN || "*";
-app.use(cors({
-  origin: allowOrigin,
-  credentials: false,
-}));
-
-app.use(express.json());
-
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
-app.get("/health", (req, res) => res.json({ status: "ok" }));
-
-app.use(router);
-
-let running = false;
-
-async function admitBatchOnce() {
-  if (running) return;
-  running = true;
-
-  try {
-    const eventIds = await redis.sMembers("queue:events");
-    if (!eventIds.length) return;
-
-    for (const eventId of eventIds) {
-      const queueKey = `queue:${eventId}`;
-
-      const qSize = await redis.zCard(queueKey);
-      if (qSize === 0) continue;
-
-      for (let i = 0; i < BATCH_SIZE; i++) {
-        const popped = await redis.zPopMin(queueKey);
-
-        const item =
-          Array.isArray(popped)
-            ? popped[0]
-            : popped?.value
-              ? popped
-              : null;
-
-        const queueToken = item?.value;
-        if (!queueToken) break;
-
-        const metaKey = `queue:token:${queueToken}`;
-        const metaJson = await redis.get(metaKey);
-        if (!metaJson) {
-          await redis.del(`queue:state:${queueToken}`);
-          continue;
-        }
-
-        const meta = JSON.parse(metaJson);
-        const userId = meta.userId;
-
-        const admissionToken = "a_" + crypto.randomBytes(10).toString("hex");
-
-        await redis.set(`queue:state:${queueToken}`, "ADMITTED", { EX: ADMISSION_TTL_SEC });
-        await redis.set(`queue:admission:${queueToken}`, admissionToken, { EX: ADMISSION_TTL_SEC });
-
-        await redis.set(
-          `admission:${admissionToken}`,
-          JSON.stringify({ queueToken, userId, eventId, admittedAt: Date.now() }),
-          { EX: ADMISSION_TTL_SEC }
-        );
-
-        console.log(`[ADMIT] event=${eventId} token=${queueToken} user=${userId} admission=${admissionToken}`);
-      }
-    }
-  } catch (e) {
-    console.error("admitBatchOnce failed:", e);
-  } finally {
-    running = false;
-  }
+// Redis 먼저 연결 (REDIS_ENABLED=true인데 연결이 안 되면 시작하지 않는다)
+try {
+  await initRedis();
+} catch (e) {
+  console.error("[REDIS]", e.message);
+  process.exit(1);
 }
+// 대기열 알림 구독 (SSE로 연결된 클라이언트에게 팬아웃)
+await initQueueStream();
 
-// Redis 먼저 연결
-await initRedis();
+// JWT 서명 키 없이 뜨면 로그인/대기열이 전부 500이 되므로 시작 단계에서 막는다
+if (!process.env.JWT_SECRET) {
+  console.error("[AUTH] JWT_SECRET is not set");
+  process.exit(1);
+}
 
 // DB 연결 테스트
 try {
@@ -103,12 +36,30 @@ try {
   process.exit(1);
 }
 
-// 그 다음에 입장 처리기 시작(수정)
-setInterval(admitBatchOnce, INTERVAL_MS);
-admitBatchOnce();
+// 스키마 마이그레이션 (여러 대가 같이 떠도 한 대만 적용한다). 따로 돌릴 때는 MIGRATE_ON_START=false + npm run migrate
+if (process.env.MIGRATE_ON_START !== "false") {
+  try {
+    await migrateUp();
+  } catch (e) {
+    console.error("[PG] migration failed:", e);
+    process.exit(1);
+  }
+}
+
+// 감사 기록을 DB로 옮기는 기록기 (worker에서도 돌며, 둘이 겹쳐도 같은 기록을 두 번 넣지 않는다)
+startAuditFlusher();
+
+// 그 다음에 입장 처리기 + 만료 정리 시작 (공연별 정책은 eventConfig.js)
+// 별도 worker(worker/worker.js)가 맡을 때는 ADMITTER_ENABLED=false로 API만 띄운다
+if (process.env.ADMITTER_ENABLED !== "false") {
+  createAdmitter().start();
+  startSweeper();
+} else {
+  console.log("Built-in admitter disabled (ADMITTER_ENABLED=false)");
+}
 
 // 마지막에 서버 listen
-app.listen(port, () => {
+createApp().listen(port, () => {
   console.log(`Backend listening on ${port}`);
   console.log(`Swagger docs: ${process.env.API_BASE_URL || `http://localhost:${port}/api-docs`}`);
 });
@@ -0,0 +1,72 @@
+import { redis } from "./redisClient.js";
+import { ticketInventory, countSoldSeats } from "./tickets.js";
+import { getSoldOut, setSoldOut, clearSoldOut, removeAllWaiting } from "./queueControl.js";
+import { publishQueueUpdate } from "./queueStream.js";
+import { STATE_GRACE_SEC } from "./queueStatus.js";
+import { recordAudit } from "./audit.js";
+
+// 매진 감지. 입장 처리기가 대기자가 있는 공연마다 틱마다 부른다 (재고는 tickets.js)
+// 남은 좌석이 없으면(판매 + 선점 중 = 재고) 입장을 멈추고 WAITLIST로 둔다. 선점이 풀리면 다음 틱에 다시 입장시킨다.
+// 확정 판매만으로 재고가 찼으면 더 돌아올 좌석이 없으므로 SOLD_OUT: 새 진입을 막고 대기자를 모두 SOLD_OUT으로 바꾼다.
+// 공연 정책 soldOutWaitlist가 켜져 있으면 SOLD_OUT으로 닫지 않고 WAITLIST로 계속 기다리게 한다
+// (관리자가 정원을 늘리는 등 좌석이 다시 생기면 자동으로 이어서 입장).
+
+// 대기자를 SOLD_OUT으로 바꾼다 (대기열에서 이미 뺀 토큰)
+async function markSoldOut(eventId, tokens) {
+  for (const queueToken of tokens) {
+    await redis.set(`queue:state:${queueToken}`, "SOLD_OUT", { EX: STATE_GRACE_SEC });
+    await publishQueueUpdate({ type: "SOLD_OUT", eventId, queueToken });
+    recordAudit({ action: "SOLD_OUT", eventId, queueToken });
+  }
+}
+
+async function reopen(eventId, current) {
+  await clearSoldOut(eventId);
+  await publishQueueUpdate({ type: "WAITLIST", eventId, waitlist: false });
+  console.log(`[SOLD_OUT] event=${eventId} reopened (${current.state} cleared)`);
+}
+
+// /queue/enter에서 부른다. 매진으로 닫혔으면 true
+// 닫힌 뒤 대기자가 없으면 입장 처리기가 이 공연을 더 보지 않으므로, 좌석이 다시 생겼는지(정원/좌석 추가, 판매 취소) 여기서 확인해 연다
+export async function isSoldOut(eventId) {
+  const current = await getSoldOut(eventId);
+  if (current?.state !== "SOLD_OUT") return false;
+
+  const stock = await ticketInventory(eventId);
+  if (stock && stock.sold >= stock.inventory) return true;
+  await reopen(eventId, current);
+  return false;
+}
+
+// 재고에 맞춰 매진 상태를 갱신한다. 이번 틱에 입장시키면 안 되면 true
+export async function checkSoldOut(eventId, config) {
+  const current = await getSoldOut(eventId);
+  const stock = await ticketInventory(eventId);
+
+  // 좌석이 남았거나(취소/선점 만료/정원 증가) 좌석 맵이 없는 공연: 입장을 이어간다
+  if (!stock || stock.remaining > 0) {
+    if (current) await reopen(eventId, current);
+    return false;
+  }
+
+  // 카운터가 DB보다 앞서 있을 수 있으므로 닫기 전에 실제 판매 수로 확인한다
+  const soldOut =
+    !config.soldOutWaitlist && stock.sold >= stock.inventory && (await countSoldSeats(eventId)) >= stock.inventory;
+
+  if (soldOut) {
+    if (current?.state !== "SOLD_OUT") {
+      await setSoldOut(eventId, "SOLD_OUT");
+      console.log(`[SOLD_OUT] event=${eventId} closed (sold=${stock.sold}/${stock.inventory})`);
+    }
+    // 닫는 순간 진입 중이던 사람도 다음 틱에 정리된다
+    await removeAllWaiting(eventId, (tokens) => markSoldOut(eventId, tokens));
+    return true;
+  }
+
+  if (current?.state !== "WAITLIST") {
+    await setSoldOut(eventId, "WAITLIST");
+    await publishQueueUpdate({ type: "WAITLIST", eventId, waitlist: true });
+    console.log(`[SOLD_OUT] event=${eventId} waitlisted (sold=${stock.sold} held=${stock.held}/${stock.inventory})`);
+  }
+  return true;
+}
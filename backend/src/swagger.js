@@ -15,9 +15,16 @@ export const swaggerSpec = swaggerJSDoc({
     servers: [{ 
       url: process.env.API_BASE_URL || "http://localhost:3000" 
     }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+        adminKey: { type: "apiKey", in: "header", name: "x-admin-key" },
+      },
+    },
   },
   apis: [
     path.join(__dirname, "server.js"),
     path.join(__dirname, "routes.js"),
+    path.join(__dirname, "adminRoutes.js"),
   ],
 });
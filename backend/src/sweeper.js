@@ -0,0 +1,177 @@
+import { redis } from "./redisClient.js";
+import { popExpiredActive, activeKey } from "./activeSessions.js";
+import { publishQueueUpdate } from "./queueStream.js";
+import { markExpired, heartbeatKey } from "./queueStatus.js";
+import { getEventConfig } from "./eventConfig.js";
+import { defineScript, runScript } from "./scripts.js";
+import { DEFAULT_LANE, queueKey, laneList } from "./lanes.js";
+import { lotteryPoolKey } from "./lottery.js";
+import { recordExpired } from "./metrics.js";
+import { recordAudit } from "./audit.js";
+
+// 만료 정리 주기
+const SWEEP_INTERVAL_MS = Number(process.env.SWEEP_INTERVAL_MS || 10000);
+// 대기열을 훑을 때 한 번에 확인하는 토큰 수
+const SCAN_COUNT = 500;
+
+// 모든 레인 대기열, 추첨 대기, 동시 입장 목록이 비었으면 queue:events에서 뺀다.
+// /queue/enter는 zAdd 다음에 sAdd 하므로, 이 확인과 삭제가 한 번에 일어나면 살아 있는 공연을 놓치지 않는다.
+// KEYS: queue:events, event:active:{eventId}, lottery:pool:{eventId}, 레인별 대기열... / ARGV: eventId
+const DROP_IF_DRAINED = defineScript(
+  "dropIfDrained",
+  `
+for i = 2, #KEYS do
+  if redis.call('ZCARD', KEYS[i]) > 0 then return 0 end
+end
+return redis.call('SREM', KEYS[1], ARGV[1])
+`,
+  (store, [eventsKey, ...keys], [eventId]) => (keys.some((key) => store.zCard(key) > 0) ? 0 : store.sRem(eventsKey, eventId))
+);
+
+let current = null;
+
+async function expire(eventId, queueToken, reason) {
+  await markExpired(queueToken, reason);
+  await publishQueueUpdate({ type: "EXPIRED", eventId, queueToken, reason });
+  await recordExpired(eventId, reason);
+  recordAudit({ action: "EXPIRE", eventId, queueToken, detail: { reason } });
+}
+
+// 입장 후 시간이 지난 토큰: 예약을 시작 안 했으면 ADMISSION_NOT_USED, 예약 세션이 끝났으면 RESERVATION_TTL
+async function sweepActive(eventId) {
+  const tokens = await popExpiredActive(eventId);
+  let expired = 0;
+
+  for (const queueToken of tokens) {
+    const state = await redis.get(`queue:state:${queueToken}`);
+    if (state === "ADMITTED") await expire(eventId, queueToken, "ADMISSION_NOT_USED");
+    else if (state === "RESERVING") await expire(eventId, queueToken, "RESERVATION_TTL");
+    else continue;
+    expired++;
+  }
+  return expired;
+}
+
+// 대기 중 토큰 유효시간(meta.expiresAt)이 지났거나 메타가 사라진 토큰을 레인 대기열 zset에서 뺀다
+async function sweepQueue(eventId, lane) {
+  const key = queueKey(eventId, lane);
+  const now = Date.now();
+  let removed = 0;
+
+  for await (const members of redis.zScanIterator(key, { COUNT: SCAN_COUNT })) {
+    const tokens = members.map((m) => m.value);
+    if (!tokens.length) continue;
+
+    const metas = await redis.mGet(tokens.map((token) => `queue:token:${token}`));
+    const dead = [];
+    tokens.forEach((token, i) => {
+      const meta = metas[i] && JSON.parse(metas[i]);
+      if (!meta || meta.expiresAt <= now) dead.push({ token, hasMeta: Boolean(meta) });
+    });
+    if (!dead.length) continue;
+
+    // 그 사이 입장 처리기가 먼저 꺼내 간 토큰은 제외 (ZREM 결과가 0)
+    const multi = redis.multi();
+    for (const { token } of dead) multi.zRem(key, token);
+    const results = await multi.exec();
+    const mine = dead.filter((_, i) => Number(results[i]) === 1);
+    if (!mine.length) continue;
+
+    await redis.zRem(heartbeatKey(eventId), mine.map((d) => d.token));
+    for (const { token, hasMeta } of mine) {
+      if (hasMeta) await expire(eventId, token, "QUEUE_TTL");
+      else await redis.del(`queue:state:${token}`);
+    }
+    removed += mine.length;
+  }
+
+  if (removed > 0) await publishQueueUpdate({ type: "ADVANCED", eventId });
+  return removed;
+}
+
+// 하트비트가 끊긴 대기자: 입장 처리기가 닿기 전에 미리 빼거나(DROP) 맨 뒤로 보낸다(DEPRIORITIZE)
+// 대기열에 없는 토큰(입장/만료/나감)의 하트비트 기록은 같이 지운다
+async function sweepHeartbeats(eventId, { heartbeatTimeoutSec, heartbeatAction }) {
+  if (heartbeatTimeoutSec <= 0) return 0;
+
+  const hbKey = heartbeatKey(eventId);
+  const now = Date.now();
+  const stale = await redis.zRangeByScore(hbKey, "-inf", now - heartbeatTimeoutSec * 1000);
+  if (!stale.length) return 0;
+
+  // 토큰마다 자기 레인 대기열에 아직 있는지 확인
+  const metas = await redis.mGet(stale.map((token) => `queue:token:${token}`));
+  const keys = metas.map((json) => json && queueKey(eventId, JSON.parse(json).lane || DEFAULT_LANE));
+  const multi = redis.multi();
+  stale.forEach((token, i) => multi.zScore(keys[i] || queueKey(eventId), token));
+  const scores = await multi.exec();
+
+  const waiting = [];
+  const gone = [];
+  stale.forEach((token, i) => {
+    if (keys[i] && scores[i] !== null) waiting.push({ token, key: keys[i] });
+    else gone.push(token);
+  });
+  if (gone.length) await redis.zRem(hbKey, gone);
+  if (!waiting.length) return 0;
+
+  let handled = 0;
+  for (const { token, key } of waiting) {
+    if (heartbeatAction === "DEPRIORITIZE") {
+      await redis.zAdd(key, [{ score: now, value: token }], { XX: true });
+      handled++;
+    } else if ((await redis.zRem(key, token)) === 1) {
+      // 그 사이 입장 처리기가 먼저 꺼내 간 토큰(ADMITTED)은 만료로 덮어쓰지 않는다
+      await redis.zRem(hbKey, token);
+      await expire(eventId, token, "HEARTBEAT_TIMEOUT");
+      handled++;
+    }
+  }
+
+  if (handled > 0) await publishQueueUpdate({ type: "ADVANCED", eventId });
+  return handled;
+}
+
+async function runOnce() {
+  try {
+    const eventIds = await redis.sMembers("queue:events");
+    for (const eventId of eventIds) {
+      const config = await getEventConfig(eventId);
+      const lanes = laneList(config).map(({ lane }) => lane);
+
+      const expired = await sweepActive(eventId);
+      let removed = 0;
+      for (const lane of lanes) removed += await sweepQueue(eventId, lane);
+      const stale = await sweepHeartbeats(eventId, config);
+      if (expired || removed || stale) {
+        console.log(`[SWEEP] event=${eventId} admissionsExpired=${expired} queueRemoved=${removed} heartbeatStale=${stale}`);
+      }
+
+      const dropped = await runScript(
+        DROP_IF_DRAINED,
+        ["queue:events", activeKey(eventId), lotteryPoolKey(eventId), ...lanes.map((lane) => queueKey(eventId, lane))],
+        [eventId]
+      );
+      if (Number(dropped) === 1) console.log(`[SWEEP] event=${eventId} drained, removed from queue:events`);
+    }
+  } catch (e) {
+    console.error("sweepOnce failed:", e);
+  }
+}
+
+// 실행 중인 정리가 있으면 그 작업을 기다린다 (겹쳐 돌지 않음)
+export function sweepOnce() {
+  if (!current) current = runOnce().finally(() => (current = null));
+  return current;
+}
+
+export function startSweeper() {
+  const timer = setInterval(sweepOnce, SWEEP_INTERVAL_MS);
+  sweepOnce();
+  return timer;
+}
+
+export async function stopSweeper(timer) {
+  clearInterval(timer);
+  await current;
+}
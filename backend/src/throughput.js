@@ -0,0 +1,77 @@
+import { redis } from "./redisClient.js";
+import { admissionRatePerSec } from "./eventConfig.js";
+
+// 공연별 실제 대기열 처리 속도 (초당 앞에서 빠지는 인원 = 입장 + 차례가 왔는데 만료된 토큰)
+// 입장 처리기가 틱마다 기록하는 지수이동평균 두 개로 예상 대기시간과 범위를 계산한다.
+//   fast : 최근 FAST_TAU_SEC 정도를 반영 (일시정지, 정원 초과로 멈춘 것이 빨리 드러난다)
+//   slow : 최근 SLOW_TAU_SEC 정도를 반영
+// 둘이 벌어질수록 범위가 넓어진다.
+//
+// queue:throughput:{eventId} = hash(fast, slow, at)
+const FAST_TAU_SEC = Number(process.env.THROUGHPUT_FAST_TAU_SEC || 30);
+const SLOW_TAU_SEC = Number(process.env.THROUGHPUT_SLOW_TAU_SEC || 300);
+// 입장이 멈춘 공연의 기록은 하루 뒤 지운다 (다음 관측은 정책 속도부터 다시 시작)
+const THROUGHPUT_TTL_SEC = 24 * 60 * 60;
+// 이보다 느리면 사실상 멈춘 것으로 본다 (예상 대기시간 없음)
+const STALLED_PER_SEC = 0.001;
+
+const throughputKey = (eventId) => `queue:throughput:${eventId}`;
+
+const ewma = (prev, inst, dtSec, tauSec) => prev + (1 - Math.exp(-dtSec / tauSec)) * (inst - prev);
+
+// 입장 처리기가 틱마다 부른다 (리스를 가진 인스턴스만 쓰므로 읽고 쓰기가 겹치지 않는다)
+// advanced: 이번 틱에 대기열 앞에서 빠진 인원. idle이면 대기자가 없어서 속도를 잴 수 없는 틱이라 시각만 옮긴다
+export async function observeThroughput(eventId, config, advanced, { idle = false, now = Date.now() } = {}) {
+  const key = throughputKey(eventId);
+  const prev = await redis.hGetAll(key);
+
+  let fast;
+  let slow;
+  if (!prev.at) {
+    // 첫 관측은 정책 속도에서 시작
+    fast = slow = admissionRatePerSec(config);
+  } else if (idle) {
+    fast = Number(prev.fast);
+    slow = Number(prev.slow);
+  } else {
+    const dtSec = Math.max((now - Number(prev.at)) / 1000, 0.001);
+    const inst = advanced / dtSec;
+    fast = ewma(Number(prev.fast), inst, dtSec, FAST_TAU_SEC);
+    slow = ewma(Number(prev.slow), inst, dtSec, SLOW_TAU_SEC);
+  }
+
+  await redis.hSet(key, { fast: String(fast), slow: String(slow), at: String(now) });
+  await redis.expire(key, THROUGHPUT_TTL_SEC);
+}
+
+// 관측값이 없으면 null
+export async function getThroughput(eventId) {
+  const { fast, slow } = await redis.hGetAll(throughputKey(eventId));
+  if (fast === undefined) return null;
+  return { fast: Number(fast), slow: Number(slow) };
+}
+
+// 내 앞 사람 수 기준 예상 대기시간(초)과 범위
+// 정책 속도(intervalMs마다 batchSize명)보다 빠를 수는 없으므로 관측 속도는 정책 속도로 자른다.
+// 관측값이 없으면 정책 속도 기준 한 값 (basis = POLICY)
+// 속도가 사실상 0이면(일시정지 등) 예상 대기시간/상한은 null
+export function estimateWait(position, config, throughput) {
+  if (position === null) return { estimatedWaitSec: null, estimatedWaitRangeSec: null, estimateBasis: null };
+
+  const ahead = Math.max(position - 1, 0);
+  const policy = admissionRatePerSec(config);
+  const secFor = (perSec) => (perSec < STALLED_PER_SEC ? null : Math.ceil(ahead / perSec));
+
+  if (!throughput) {
+    const sec = secFor(policy);
+    return { estimatedWaitSec: sec, estimatedWaitRangeSec: { min: sec, max: sec }, estimateBasis: "POLICY" };
+  }
+
+  const fast = Math.min(throughput.fast, policy);
+  const slow = Math.min(throughput.slow, policy);
+  return {
+    estimatedWaitSec: secFor(fast),
+    estimatedWaitRangeSec: { min: secFor(Math.max(fast, slow)), max: secFor(Math.min(fast, slow)) },
+    estimateBasis: "OBSERVED",
+  };
+}
@@ -0,0 +1,212 @@
+import { redis } from "./redisClient.js";
+import { pool } from "./db.js";
+import { ApiError } from "./errors.js";
+import { defineScript, runScript } from "./scripts.js";
+import { getEvent } from "./events.js";
+import { getEventConfig } from "./eventConfig.js";
+
+// 공연별 판매 수량 제한: 공연 정원(events.capacity)과 사용자당 구매 한도(정책 maxTicketsPerUser)
+// 좌석 선점 때 Redis 카운터로 먼저 막고 (예약 세션 여러 개에 걸친 선점을 스크립트 하나로 세고 더한다),
+// 확정 때 DB 트랜잭션 안에서 실제 판매 행 수로 한 번 더 막는다. 카운터가 틀어져도 DB 확인이 최종 판단이다.
+//
+// Redis Key 설계
+// tickets:{eventId}:held          = zset(member={reservationId}:{seatId}, score=선점 만료 시각 ms) 공연 전체 선점
+// tickets:{eventId}:held:{userId} = 같은 모양, 그 사용자의 선점
+// tickets:{eventId}:sold          = 판매된 좌석 수 (없으면 DB에서 다시 센다, 확정 때 DB 판매 수로 올린다)
+// tickets:{eventId}:sold:{userId} = 그 사용자가 산 좌석 수
+const heldKey = (eventId, userId) => (userId === undefined ? `tickets:${eventId}:held` : `tickets:${eventId}:held:${userId}`);
+const soldKey = (eventId, userId) => (userId === undefined ? `tickets:${eventId}:sold` : `tickets:${eventId}:sold:${userId}`);
+const ticketKeys = (eventId, userId) => [heldKey(eventId), heldKey(eventId, userId), soldKey(eventId), soldKey(eventId, userId)];
+
+// 판매 수 카운터 유효시간. 지나면 DB에서 다시 센다
+const SOLD_COUNTER_TTL_SEC = Number(process.env.SOLD_COUNTER_TTL_SEC || 24 * 60 * 60);
+// 공연 좌석 수 캐시 (입장 처리기가 틱마다 재고를 보므로)
+const SEAT_COUNT_CACHE_TTL_SEC = Number(process.env.EVENT_CACHE_TTL_SEC || 30);
+const seatCountKey = (eventId) => `tickets:${eventId}:seats`;
+
+const holdMember = (reservationId, seatId) => `${reservationId}:${seatId}`;
+
+// 만료된 선점을 지우고, 정원/한도 안이면 선점을 기록한다. 0 = 성공, 1 = 정원 초과, 2 = 사용자 한도 초과
+// KEYS = [공연 선점, 사용자 선점, 공연 판매 수, 사용자 판매 수]
+// ARGV = [now, 선점 만료 시각, 정원(-1이면 없음), 사용자 한도(0이면 없음), member...]
+const reserveScript = defineScript(
+  "reserveTickets",
+  `
+local now = tonumber(ARGV[1])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now)
+
+local fresh = {}
+for i = 5, #ARGV do
+  if not redis.call('ZSCORE', KEYS[2], ARGV[i]) then fresh[#fresh + 1] = ARGV[i] end
+end
+
+local capacity = tonumber(ARGV[3])
+local eventCount = redis.call('ZCARD', KEYS[1]) + tonumber(redis.call('GET', KEYS[3]) or '0')
+if capacity >= 0 and eventCount + #fresh > capacity then return 1 end
+local limit = tonumber(ARGV[4])
+local userCount = redis.call('ZCARD', KEYS[2]) + tonumber(redis.call('GET', KEYS[4]) or '0')
+if limit > 0 and userCount + #fresh > limit then return 2 end
+
+for i = 5, #ARGV do
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[i])
+  redis.call('ZADD', KEYS[2], ARGV[2], ARGV[i])
+end
+return 0
+`,
+  (store, [eventHeld, userHeld, eventSold, userSold], [now, expiresAt, capacity, limit, ...members]) => {
+    for (const key of [eventHeld, userHeld]) store.zRem(key, store.zRangeByScore(key, "-inf", Number(now)));
+
+    const fresh = members.filter((member) => store.zScore(userHeld, member) === null);
+    const eventCount = store.zCard(eventHeld) + Number(store.get(eventSold) ?? 0);
+    if (Number(capacity) >= 0 && eventCount + fresh.length > Number(capacity)) return 1;
+    const userCount = store.zCard(userHeld) + Number(store.get(userSold) ?? 0);
+    if (Number(limit) > 0 && userCount + fresh.length > Number(limit)) return 2;
+
+    const entries = members.map((value) => ({ score: Number(expiresAt), value }));
+    store.zAdd(eventHeld, entries);
+    store.zAdd(userHeld, entries);
+    return 0;
+  }
+);
+
+// 확정된 선점을 판매 수로 옮긴다. 카운터는 확정 트랜잭션이 센 판매 수(이번 확정 포함)보다 작을 때만 올린다.
+// 더하기(INCRBY)가 아니라 올리기라서, 카운터가 없던 사이 DB에서 센 값으로 채운 선점(ensureSoldCounters)이나
+// 순서가 뒤바뀐 다른 확정과 겹쳐도 판매 수를 잃지 않는다.
+// KEYS = [공연 선점, 사용자 선점, 공연 판매 수, 사용자 판매 수] / ARGV = [공연 판매 수, 사용자 판매 수, TTL, member...]
+const commitScript = defineScript(
+  "commitTickets",
+  `
+for i = 4, #ARGV do
+  redis.call('ZREM', KEYS[1], ARGV[i])
+  redis.call('ZREM', KEYS[2], ARGV[i])
+end
+for i = 1, 2 do
+  if tonumber(redis.call('GET', KEYS[i + 2]) or '-1') < tonumber(ARGV[i]) then
+    redis.call('SET', KEYS[i + 2], ARGV[i], 'EX', ARGV[3])
+  end
+end
+return #ARGV - 3
+`,
+  (store, [eventHeld, userHeld, eventSold, userSold], [sold, mine, ttlSec, ...members]) => {
+    store.zRem(eventHeld, members);
+    store.zRem(userHeld, members);
+    for (const [key, count] of [[eventSold, sold], [userSold, mine]]) {
+      if (Number(store.get(key) ?? -1) < Number(count)) store.set(key, count, { EX: Number(ttlSec) });
+    }
+    return members.length;
+  }
+);
+
+// DB 판매 행 수. { sold, mine }
+async function countSold(db, eventId, userId) {
+  const r = await db.query(
+    `SELECT COUNT(*) AS sold,
+            COALESCE(SUM(CASE WHEN user_id = $2 THEN 1 ELSE 0 END), 0) AS mine
+     FROM reservations
+     WHERE event_id = $1`,
+    [eventId, String(userId)]
+  );
+  return { sold: Number(r.rows[0].sold), mine: Number(r.rows[0].mine) };
+}
+
+// DB 기준 공연 전체 판매 좌석 수
+export async function countSoldSeats(eventId) {
+  const r = await pool.query(`SELECT COUNT(*) AS sold FROM reservations WHERE event_id = $1`, [eventId]);
+  return Number(r.rows[0].sold);
+}
+
+async function countSeats(eventId) {
+  const cached = await redis.get(seatCountKey(eventId));
+  if (cached !== null) return Number(cached);
+  const r = await pool.query(`SELECT COUNT(*) AS seats FROM seats WHERE event_id = $1`, [eventId]);
+  const seats = Number(r.rows[0].seats);
+  await redis.set(seatCountKey(eventId), String(seats), { EX: SEAT_COUNT_CACHE_TTL_SEC });
+  return seats;
+}
+
+// 좌석 맵이 바뀌었을 때 (관리자가 공연을 고칠 때) 캐시를 버린다
+export async function invalidateSeatCount(eventId) {
+  await redis.del(seatCountKey(eventId));
+}
+
+// 판매 수 카운터가 없으면 DB에서 채운다 (Redis 재시작/만료 후 첫 선점)
+async function ensureSoldCounters(eventId, userId) {
+  if ((await redis.exists([soldKey(eventId), soldKey(eventId, userId)])) === 2) return;
+  const { sold, mine } = await countSold(pool, eventId, userId);
+  await redis.set(soldKey(eventId), String(sold), { NX: true, EX: SOLD_COUNTER_TTL_SEC });
+  await redis.set(soldKey(eventId, userId), String(mine), { NX: true, EX: SOLD_COUNTER_TTL_SEC });
+}
+
+async function limitsFor(eventId) {
+  const [event, config] = await Promise.all([getEvent(eventId), getEventConfig(eventId)]);
+  return { capacity: event ? event.capacity : -1, maxTicketsPerUser: config.maxTicketsPerUser };
+}
+
+// 공연 재고: 정원과 좌석 수 중 작은 쪽에서 판매(카운터 기준)와 아직 안 끝난 선점을 뺀다
+// 좌석 맵이 아직 없는 공연은 재고를 알 수 없으므로 null
+// { inventory, sold, held, remaining }
+export async function ticketInventory(eventId) {
+  const [event, seats] = await Promise.all([getEvent(eventId), countSeats(eventId)]);
+  if (!event || seats === 0) return null;
+
+  if (!(await redis.exists(soldKey(eventId)))) {
+    await redis.set(soldKey(eventId), String(await countSoldSeats(eventId)), { NX: true, EX: SOLD_COUNTER_TTL_SEC });
+  }
+  const [sold, held] = await Promise.all([
+    redis.get(soldKey(eventId)).then(Number),
+    redis.zCount(heldKey(eventId), `(${Date.now()}`, "+inf"),
+  ]);
+  const inventory = Math.min(event.capacity, seats);
+  return { inventory, sold, held, remaining: Math.max(inventory - sold - held, 0) };
+}
+
+// 좌석 선점 전에 정원/사용자 한도 안에서 자리를 잡는다. 넘으면 ApiError(409)
+// 이미 이 세션이 잡은 좌석은 다시 세지 않는다 (선점 만료 시각만 갱신)
+export async function reserveTickets({ eventId, userId, reservationId, seatIds, ttlMs }) {
+  if (!seatIds.length) return;
+  const { capacity, maxTicketsPerUser } = await limitsFor(eventId);
+  await ensureSoldCounters(eventId, userId);
+
+  const now = Date.now();
+  const result = await runScript(reserveScript, ticketKeys(eventId, userId), [
+    now,
+    now + ttlMs,
+    capacity,
+    maxTicketsPerUser,
+    ...seatIds.map((seatId) => holdMember(reservationId, seatId)),
+  ]);
+  if (Number(result) === 1) throw new ApiError(409, "sold_out");
+  if (Number(result) === 2) throw new ApiError(409, "ticket_limit_exceeded", { maxTicketsPerUser });
+}
+
+// 선점을 놓을 때 (해제, 취소, 선점 실패 롤백)
+export async function releaseTickets({ eventId, userId, reservationId, seatIds }) {
+  if (!seatIds.length) return;
+  const members = seatIds.map((seatId) => holdMember(reservationId, seatId));
+  await redis.multi().zRem(heldKey(eventId), members).zRem(heldKey(eventId, userId), members).exec();
+}
+
+// 확정 트랜잭션 안에서 호출: 공연 행을 잠가 같은 공연의 확정을 한 줄로 세운 뒤 실제 판매 수로 정원/한도를 확인한다
+// 이번 확정까지 더한 판매 수 { sold, mine }를 돌려준다 (커밋 뒤 commitTickets에 넘긴다)
+export async function assertTicketsAvailable(client, { eventId, userId, count }) {
+  const event = await client.query(`SELECT capacity FROM events WHERE id = $1 FOR UPDATE`, [eventId]);
+  const { maxTicketsPerUser } = await getEventConfig(eventId);
+  const { sold, mine } = await countSold(client, eventId, userId);
+
+  if (event.rowCount && sold + count > event.rows[0].capacity) throw new ApiError(409, "sold_out");
+  if (maxTicketsPerUser > 0 && mine + count > maxTicketsPerUser) {
+    throw new ApiError(409, "ticket_limit_exceeded", { maxTicketsPerUser });
+  }
+  return { sold: sold + count, mine: mine + count };
+}
+
+// 확정 커밋 후: 선점을 판매 수로 옮긴다. counts = assertTicketsAvailable이 돌려준 판매 수
+export async function commitTickets({ eventId, userId, reservationId, seatIds, counts }) {
+  await runScript(commitScript, ticketKeys(eventId, userId), [
+    counts.sold,
+    counts.mine,
+    SOLD_COUNTER_TTL_SEC,
+    ...seatIds.map((seatId) => holdMember(reservationId, seatId)),
+  ]);
+}
@@ -0,0 +1,45 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, request } from "./helpers.js";
+
+let env;
+before(async () => {
+  env = await startTestServer();
+});
+after(() => env.close());
+
+test("signup creates a LOCAL user and rejects a duplicate email", async () => {
+  const body = { email: "alice@example.com", password: "secret-1", nickname: "alice" };
+  const first = await request(env.baseUrl, "POST", "/auth/signup", { body });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.user.email, "alice@example.com");
+  assert.equal(first.body.user.auth_provider, "LOCAL");
+  assert.equal(first.body.user.password, undefined);
+
+  const again = await request(env.baseUrl, "POST", "/auth/signup", { body });
+  assert.equal(again.status, 409);
+  assert.equal(again.body.error, "email_already_exists");
+});
+
+test("login issues tokens and refresh rotates them", async () => {
+  await request(env.baseUrl, "POST", "/auth/signup", { body: { email: "bob@example.com", password: "secret-2" } });
+
+  const wrong = await request(env.baseUrl, "POST", "/auth/login", { body: { email: "bob@example.com", password: "nope" } });
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.error, "invalid_credentials");
+
+  const login = await request(env.baseUrl, "POST", "/auth/login", { body: { email: "bob@example.com", password: "secret-2" } });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.tokenType, "Bearer");
+  assert.equal(login.body.user.email, "bob@example.com");
+  assert.ok(login.body.accessToken);
+
+  const { refreshToken } = login.body;
+  const refreshed = await request(env.baseUrl, "POST", "/auth/refresh", { body: { refreshToken } });
+  assert.equal(refreshed.status, 200);
+  assert.ok(refreshed.body.accessToken);
+
+  // 한 번 쓴 refresh 토큰은 폐기된다
+  const reused = await request(env.baseUrl, "POST", "/auth/refresh", { body: { refreshToken } });
+  assert.equal(reused.status, 401);
+});
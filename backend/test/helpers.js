@@ -0,0 +1,97 @@
+import { once } from "node:events";
+import { newDb, DataType } from "pg-mem";
+import { setPool } from "../src/db.js";
+import { migrateUp } from "../src/migrate.js";
+import { redis } from "../src/redisClient.js";
+import { createApp } from "../src/app.js";
+
+// 테스트는 외부 서비스 없이 돈다: Redis는 메모리 저장소(REDIS_ENABLED 없음), Postgres는 pg-mem
+process.env.JWT_SECRET = "test-jwt-secret";
+process.env.ADMIN_API_KEY = "test-admin-key";
+export const ADMIN_KEY = process.env.ADMIN_API_KEY;
+
+// pg-mem에 없는 함수 (마이그레이션 잠금). 테스트는 프로세스 하나라 잠글 필요가 없다
+function registerStubs(db) {
+  for (const name of ["pg_advisory_lock", "pg_advisory_unlock"]) {
+    db.public.registerFunction({ name, args: [DataType.integer], returns: DataType.bool, implementation: () => true });
+  }
+  // 좌석 맵 열 정렬 (seats.js)
+  db.public.registerFunction({ name: "length", args: [DataType.text], returns: DataType.integer, implementation: (s) => s.length });
+}
+
+// 빈 pg-mem DB를 만들어 앱 풀로 쓴다 (options는 newDb에 그대로)
+export function useTestDb(options) {
+  const db = newDb(options);
+  registerStubs(db);
+  const { Pool } = db.adapters.createPg();
+  setPool(new Pool());
+  return db;
+}
+
+// 마이그레이션까지 끝난 DB + 빈 메모리 Redis 위에 앱을 띄운다
+export async function startTestServer() {
+  const db = useTestDb();
+  await migrateUp();
+
+  if (!redis.isOpen) await redis.connect();
+  await redis.flushAll();
+
+  const server = createApp().listen(0, "127.0.0.1");
+  await once(server, "listening");
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    db,
+    async close() {
+      server.closeAllConnections();
+      server.close();
+      await once(server, "close");
+    },
+  };
+}
+
+// JSON 요청. { status, body, headers }
+export async function request(baseUrl, method, path, { body, token, headers = {}, redirect } = {}) {
+  const res = await fetch(baseUrl + path, {
+    method,
+    redirect,
+    headers: {
+      ...(body !== undefined && { "Content-Type": "application/json" }),
+      ...(token && { Authorization: `Bearer ${token}` }),
+      ...headers,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    // HTML 등은 문자열 그대로
+  }
+  return { status: res.status, body: parsed, headers: res.headers };
+}
+
+// 자체가입 + 로그인 후 accessToken
+export async function signupAndLogin(baseUrl, email, password = "pw-1234") {
+  await request(baseUrl, "POST", "/auth/signup", { body: { email, password, nickname: email.split("@")[0] } });
+  const login = await request(baseUrl, "POST", "/auth/login", { body: { email, password } });
+  return login.body;
+}
+
+// 지금 판매 중인 공연 (관리자 API로 만든다)
+export async function createOpenEvent(baseUrl, eventId, overrides = {}) {
+  const now = Date.now();
+  return request(baseUrl, "POST", "/admin/events", {
+    headers: { "x-admin-key": ADMIN_KEY },
+    body: {
+      eventId,
+      name: `Test ${eventId}`,
+      venue: "Test Hall",
+      capacity: 10,
+      saleOpensAt: new Date(now - 60 * 1000).toISOString(),
+      saleClosesAt: new Date(now + 60 * 60 * 1000).toISOString(),
+      ...overrides,
+    },
+  });
+}
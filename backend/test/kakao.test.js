@@ -0,0 +1,110 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { startTestServer, request } from "./helpers.js";
+import { pool } from "../src/db.js";
+
+// 가짜 카카오: 토큰 교환(/oauth/token)과 사용자 정보(/v2/user/me)만 흉내 낸다
+let kakaoProfile = { id: 424242, kakao_account: { email: "kakao@example.com", gender: "female", profile: { nickname: "kay" } } };
+const tokenRequests = [];
+
+const kakao = http.createServer((req, res) => {
+  let raw = "";
+  req.on("data", (chunk) => (raw += chunk));
+  req.on("end", () => {
+    res.setHeader("Content-Type", "application/json");
+    if (req.method === "POST" && req.url === "/oauth/token") {
+      const form = new URLSearchParams(raw);
+      tokenRequests.push(Object.fromEntries(form));
+      if (form.get("code") !== "good-code") {
+        res.statusCode = 400;
+        return res.end(JSON.stringify({ error: "invalid_grant" }));
+      }
+      return res.end(JSON.stringify({ access_token: "kakao-access", token_type: "bearer" }));
+    }
+    if (req.method === "GET" && req.url === "/v2/user/me") {
+      if (req.headers.authorization !== "Bearer kakao-access") {
+        res.statusCode = 401;
+        return res.end(JSON.stringify({ code: -401 }));
+      }
+      return res.end(JSON.stringify(kakaoProfile));
+    }
+    res.statusCode = 404;
+    res.end("{}");
+  });
+});
+
+let env;
+before(async () => {
+  kakao.listen(0, "127.0.0.1");
+  await once(kakao, "listening");
+  const kakaoUrl = `http://127.0.0.1:${kakao.address().port}`;
+  process.env.KAKAO_AUTH_BASE_URL = kakaoUrl;
+  process.env.KAKAO_API_BASE_URL = kakaoUrl;
+  process.env.KAKAO_REST_API_KEY = "test-client-id";
+  process.env.KAKAO_REDIRECT_URI = "http://localhost/auth/kakao/callback";
+  env = await startTestServer();
+});
+after(async () => {
+  await env.close();
+  kakao.close();
+});
+
+// /auth/kakao가 발급한 state
+async function startLogin() {
+  const res = await request(env.baseUrl, "GET", "/auth/kakao", { redirect: "manual" });
+  assert.equal(res.status, 302);
+  const location = new URL(res.headers.get("location"));
+  assert.equal(location.pathname, "/oauth/authorize");
+  assert.equal(location.searchParams.get("client_id"), "test-client-id");
+  return location.searchParams.get("state");
+}
+
+test("callback exchanges the code, stores the user and posts tokens to the opener", async () => {
+  const state = await startLogin();
+  const res = await request(env.baseUrl, "GET", `/auth/kakao/callback?code=good-code&state=${state}`);
+  assert.equal(res.status, 200);
+  assert.match(res.body, /"accessToken":"/);
+  assert.match(res.body, /"kakao_id":"424242"/);
+  assert.equal(tokenRequests.at(-1).redirect_uri, "http://localhost/auth/kakao/callback");
+
+  const r = await pool.query(`SELECT auth_provider, email, nickname, gender FROM users WHERE kakao_id = '424242'`);
+  assert.deepEqual(r.rows, [{ auth_provider: "KAKAO", email: "kakao@example.com", nickname: "kay", gender: "female" }]);
+
+  // state는 한 번만 쓸 수 있다
+  const replay = await request(env.baseUrl, "GET", `/auth/kakao/callback?code=good-code&state=${state}`);
+  assert.equal(replay.status, 400);
+  assert.equal(replay.body.error, "invalid_state");
+});
+
+test("a returning kakao user is updated instead of duplicated", async () => {
+  kakaoProfile = { ...kakaoProfile, kakao_account: { ...kakaoProfile.kakao_account, profile: { nickname: "kay2" } } };
+  const state = await startLogin();
+  const res = await request(env.baseUrl, "GET", `/auth/kakao/callback?code=good-code&state=${state}`);
+  assert.equal(res.status, 200);
+
+  const r = await pool.query(`SELECT nickname FROM users WHERE kakao_id = '424242'`);
+  assert.deepEqual(r.rows, [{ nickname: "kay2" }]);
+});
+
+test("a rejected code is reported as token_request_failed", async () => {
+  const state = await startLogin();
+  const res = await request(env.baseUrl, "GET", `/auth/kakao/callback?code=bad-code&state=${state}`);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "token_request_failed");
+});
+
+test("profile fields cannot break out of the callback script", async () => {
+  const nickname = "</script><script>alert(1)</script>";
+  kakaoProfile = { id: 515151, kakao_account: { email: "x&y@example.com", profile: { nickname } } };
+  const state = await startLogin();
+  const res = await request(env.baseUrl, "GET", `/auth/kakao/callback?code=good-code&state=${state}`);
+  assert.equal(res.status, 200);
+
+  // 스크립트 블록을 닫는 태그는 페이지 자체의 것 하나뿐
+  assert.equal(res.body.split("</script>").length, 2);
+  const data = JSON.parse(res.body.match(/var data = (.*);/)[1]);
+  assert.equal(data.user.nickname, nickname);
+  assert.equal(data.user.email, "x&y@example.com");
+});
@@ -0,0 +1,59 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startTestServer, request, createOpenEvent, ADMIN_KEY } from "./helpers.js";
+import { createAdmitter } from "../src/admitter.js";
+import { pool } from "../src/db.js";
+import { redis } from "../src/redisClient.js";
+import { queueKey } from "../src/lanes.js";
+import { runSimulation } from "../scripts/loadsim.js";
+
+let env;
+let admitter;
+before(async () => {
+  env = await startTestServer();
+  admitter = createAdmitter({ tickMs: 100 });
+});
+after(async () => {
+  await admitter.stop();
+  await env.close();
+});
+
+test("load simulation sells each seat once and admits each user once", async () => {
+  assert.equal((await createOpenEvent(env.baseUrl, "E300")).status, 201);
+  await request(env.baseUrl, "PATCH", "/admin/events/E300/config", {
+    headers: { "x-admin-key": ADMIN_KEY },
+    body: { batchSize: 5, intervalMs: 60000 },
+  });
+  for (let n = 1; n <= 5; n++) {
+    await pool.query(
+      `INSERT INTO seats (event_id, seat_id, section, row_label, seat_number) VALUES ('E300', $1, 'A', '1', $2)`,
+      [`A1-${n}`, n]
+    );
+  }
+
+  const run = runSimulation({
+    baseUrl: env.baseUrl,
+    event: "E300",
+    users: 8,
+    arrival: "uniform",
+    durationSec: 0.5,
+    pollMs: 50,
+    maxWaitSec: 30,
+    seed: "test",
+  });
+  // 모두 줄을 선 뒤에 입장 처리기를 켠다: 첫 배치에 5명이 들어가고, 다음 배치(intervalMs) 전에 매진된다
+  const deadline = Date.now() + 5000;
+  while ((await redis.zCard(queueKey("E300"))) < 8) {
+    if (Date.now() > deadline) assert.fail("virtual users did not all enter the queue");
+    await sleep(20);
+  }
+  admitter.start();
+  const report = await run;
+
+  assert.deepEqual(report.outcomes, { completed: 5, sold_out: 3 });
+  assert.equal(report.admissionLatencySec.count, 5);
+  assert.deepEqual(report.duplicateAdmissions, { users: [], tokens: [] });
+  assert.equal(report.oversell.detected, false);
+  assert.equal(report.oversell.soldOnServer, 5);
+});
@@ -0,0 +1,178 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createClient } from "redis";
+import { MemoryRedis } from "../src/memoryRedis.js";
+import { scripts } from "../src/scripts.js";
+import "../src/admitter.js";
+import "../src/lottery.js";
+
+// Lua 스크립트를 실제 Redis에서 돌리고, 같은 상태/입력으로 돌린 JS 구현(메모리 저장소용)과 응답과 결과 상태를 비교한다.
+// 실제 Redis가 있어야 돈다: REDIS_TEST_URL=redis://localhost:6379 npm test (그 Redis의 데이터는 지운다)
+const REDIS_TEST_URL = process.env.REDIS_TEST_URL;
+const skip = !REDIS_TEST_URL && "REDIS_TEST_URL not set";
+
+let client;
+before(async () => {
+  if (skip) return;
+  client = createClient({ url: REDIS_TEST_URL });
+  await client.connect();
+});
+after(async () => {
+  if (client?.isOpen) await client.quit();
+});
+
+const NOW = 1_800_000_000_000;
+
+// 문자열(JSON이면 풀어서, TTL은 있는지만), hash, sorted set 상태
+async function snapshot(r, { strings = [], hashes = [], zsets = [] }) {
+  const state = {};
+  for (const key of strings) {
+    const value = await r.get(key);
+    let parsed = value;
+    try {
+      parsed = JSON.parse(value);
+    } catch {}
+    state[key] = { value: parsed, expires: (await r.pTTL(key)) > 0 };
+  }
+  for (const key of hashes) state[key] = { ...(await r.hGetAll(key)) };
+  for (const key of zsets) {
+    state[key] = (await r.zRangeWithScores(key, 0, -1)).map(({ value, score }) => ({ value, score: Number(score) }));
+  }
+  return state;
+}
+
+// 실제 Redis(Lua)와 메모리 저장소(JS)에 같은 상태를 만들고 각 호출을 차례로 돌려 응답/상태를 비교한다.
+// Lua가 KEYS에 없는 키를 새로 만들었는지도 본다 (JS 쪽은 메모리 저장소가 막는다).
+async function assertSameAsLua(name, { seed, calls, inspect }) {
+  const script = scripts.get(name);
+  const memory = new MemoryRedis();
+  await client.flushAll();
+  await seed(client);
+  await seed(memory);
+
+  const declared = new Set(await client.keys("*"));
+  for (const [keys, args] of calls) {
+    keys.forEach((key) => declared.add(key));
+    const options = { keys, arguments: args.map(String) };
+    const reply = await client.eval(script.lua, options);
+    assert.deepEqual(memory.runLocal(script, keys, options.arguments), reply);
+  }
+  assert.deepEqual(await snapshot(memory, inspect), await snapshot(client, inspect));
+  for (const key of await client.keys("*")) assert.ok(declared.has(key), `${name} wrote undeclared key ${key}`);
+}
+
+const meta = (userId, lane, expiresAt = NOW + 60_000) => JSON.stringify({ userId, eventId: "E1", lane, expiresAt });
+const tokenKeys = (queueToken) => [
+  `queue:token:${queueToken}`, `queue:state:${queueToken}`, `queue:expired:${queueToken}`, `queue:admission:${queueToken}`,
+];
+
+// admitter.js admitEvent와 같은 KEYS/ARGV 배치
+function admitBatchCall({ lanes, laneMode, heartbeatAction, queueTokens, candidates, maxActive = 0 }) {
+  return [
+    [
+      "event:active:E1", "queue:admitted_at:E1", "queue:heartbeat:E1", "queue:lane_credit:E1",
+      ...lanes.map(([lane]) => `queue:${lane}:E1`),
+      ...queueTokens.flatMap(tokenKeys), ...candidates.map((admissionToken) => `admission:${admissionToken}`),
+    ],
+    [
+      NOW, 100, candidates.length, maxActive, 300, "E1", 600, 30_000, heartbeatAction, laneMode, lanes.length,
+      ...lanes.flat(), queueTokens.length, ...queueTokens, ...candidates,
+    ],
+  ];
+}
+
+// VIP: v1(정상), v2(하트비트 끊김) / GENERAL: g1(만료), g2(메타 없음), g3(정상), g4(미리 읽지 못한 새 진입자)
+async function seedQueue(r) {
+  await r.zAdd("queue:VIP:E1", [{ score: 1, value: "v1" }, { score: 2, value: "v2" }]);
+  await r.zAdd("queue:GENERAL:E1", [
+    { score: 1, value: "g1" }, { score: 2, value: "g2" }, { score: 3, value: "g3" }, { score: 4, value: "g4" },
+  ]);
+  await r.zAdd("queue:heartbeat:E1", [
+    { score: NOW, value: "v1" }, { score: NOW - 60_000, value: "v2" }, { score: NOW, value: "g3" },
+  ]);
+  await r.set("queue:token:v1", meta(1, "VIP"));
+  await r.set("queue:token:v2", meta(2, "VIP"));
+  await r.set("queue:token:g1", meta(3, "GENERAL", NOW - 1));
+  await r.set("queue:token:g3", meta(5, "GENERAL"));
+  await r.set("queue:token:g4", meta(6, "GENERAL"));
+  for (const queueToken of ["v1", "v2", "g1", "g2", "g3", "g4"]) await r.set(`queue:state:${queueToken}`, "WAITING");
+}
+
+const queueInspect = {
+  strings: [
+    "queue:admitted_at:E1",
+    ...["v1", "v2", "g1", "g2", "g3", "g4"].flatMap((queueToken) => tokenKeys(queueToken).slice(1)),
+    ...["a1", "a2", "a3", "a4", "a5", "a6"].map((admissionToken) => `admission:${admissionToken}`),
+  ],
+  hashes: ["queue:lane_credit:E1"],
+  zsets: ["queue:VIP:E1", "queue:GENERAL:E1", "queue:heartbeat:E1", "event:active:E1"],
+};
+
+test("admitBatch Lua matches the in-memory implementation in RATIO mode with a seat limit", { skip }, async () => {
+  await assertSameAsLua("admitBatch", {
+    seed: async (r) => {
+      await seedQueue(r);
+      await r.zAdd("event:active:E1", { score: NOW + 1000, value: "other" });
+    },
+    calls: [
+      admitBatchCall({
+        lanes: [["VIP", 2], ["GENERAL", 1]],
+        laneMode: "RATIO",
+        heartbeatAction: "DEPRIORITIZE",
+        queueTokens: ["v1", "v2", "g1", "g2", "g3"],
+        candidates: ["a1", "a2", "a3", "a4", "a5", "a6"],
+        maxActive: 6,
+      }),
+    ],
+    inspect: queueInspect,
+  });
+});
+
+// g3까지 처리하고, 미리 읽지 못한 g4가 맨 앞에 오면 배치를 끝낸다
+test("admitBatch Lua matches the in-memory implementation in STRICT mode", { skip }, async () => {
+  await assertSameAsLua("admitBatch", {
+    seed: seedQueue,
+    calls: [
+      admitBatchCall({
+        lanes: [["VIP", 1], ["GENERAL", 1]],
+        laneMode: "STRICT",
+        heartbeatAction: "DROP",
+        queueTokens: ["v1", "v2", "g1", "g2", "g3"],
+        candidates: ["a1", "a2", "a3", "a4", "a5", "a6"],
+      }),
+    ],
+    inspect: queueInspect,
+  });
+});
+
+test("admitToken Lua matches the in-memory implementation", { skip }, async () => {
+  const call = (queueToken, lane, admissionToken) => [
+    [
+      `queue:${lane}:E1`, "event:active:E1", "queue:heartbeat:E1",
+      `queue:token:${queueToken}`, `queue:state:${queueToken}`, `queue:admission:${queueToken}`, `admission:${admissionToken}`,
+    ],
+    [queueToken, NOW, 300, "E1", 600, admissionToken],
+  ];
+  await assertSameAsLua("admitToken", {
+    seed: seedQueue,
+    calls: [call("g3", "GENERAL", "a1"), call("g3", "GENERAL", "a2"), call("g2", "GENERAL", "a3")],
+    inspect: queueInspect,
+  });
+});
+
+test("applyDraw Lua matches the in-memory implementation", { skip }, async () => {
+  const keys = ["lottery:E1", "lottery:pool:E1", "queue:heartbeat:E1", "queue:VIP:E1", "queue:GENERAL:E1"];
+  const args = [NOW, "p1", 5, 97, "p2", 4, 98, "p3", 4, 99];
+  await assertSameAsLua("applyDraw", {
+    seed: async (r) => {
+      await r.hSet("lottery:E1", { seed: "s", seedHash: "h", closedAt: String(NOW) });
+      await r.zAdd("lottery:pool:E1", [{ score: 1, value: "p1" }, { score: 2, value: "p3" }]);
+      await r.zAdd("queue:GENERAL:E1", { score: NOW + 5, value: "late" });
+    },
+    calls: [
+      [keys, args],
+      [keys, args],
+    ],
+    inspect: { hashes: ["lottery:E1"], zsets: keys.slice(1) },
+  });
+});
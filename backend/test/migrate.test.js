@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { useTestDb } from "./helpers.js";
+import { pool } from "../src/db.js";
+import { migrateUp } from "../src/migrate.js";
+
+// 예전 db/init.sql이 만든 reservations (reservation_id/event_id 없음)
+// pg-mem은 이미 있는 테이블에 CREATE TABLE IF NOT EXISTS를 하면 AST 검사에서 막으므로 끈다
+async function useLegacyDb() {
+  useTestDb({ noAstCoverageCheck: true });
+  await pool.query(`
+    CREATE TABLE reservations (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(64) NOT NULL,
+      seat_id VARCHAR(32) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+test("migration 001 adds the missing reservation columns to an empty legacy table as NOT NULL", async () => {
+  await useLegacyDb();
+  await migrateUp();
+
+  await pool.query(`INSERT INTO events (id, name, capacity, sale_opens_at, sale_closes_at)
+                    VALUES ('E1', 'e', 1, NOW(), NOW() + INTERVAL '1 day')`);
+  await pool.query(`INSERT INTO reservations (reservation_id, event_id, user_id, seat_id) VALUES ('r1', 'E1', '1', 'A1-1')`);
+  await assert.rejects(pool.query(`INSERT INTO reservations (user_id, seat_id) VALUES ('1', 'A1-2')`));
+});
+
+test("migration 001 stops with a clear error when legacy reservations have no event", async () => {
+  await useLegacyDb();
+  await pool.query(`INSERT INTO reservations (user_id, seat_id) VALUES ('1', 'A1-1')`);
+
+  await assert.rejects(migrateUp(), /reservations has 1 row\(s\) from the old init\.sql/);
+  const applied = await pool.query(`SELECT version FROM schema_migrations`);
+  assert.equal(applied.rowCount, 0);
+});
@@ -0,0 +1,152 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, request, signupAndLogin, createOpenEvent, ADMIN_KEY } from "./helpers.js";
+import { createAdmitter } from "../src/admitter.js";
+import { flushAudit, recordAudit } from "../src/audit.js";
+import { redis } from "../src/redisClient.js";
+
+let env;
+let admitter;
+before(async () => {
+  env = await startTestServer();
+  admitter = createAdmitter();
+});
+after(async () => {
+  await admitter.stop();
+  await env.close();
+});
+
+test("enter -> status -> admit -> reservation/start", async () => {
+  const created = await createOpenEvent(env.baseUrl, "E100");
+  assert.equal(created.status, 201);
+  // 한 번에 한 명씩 입장
+  const config = await request(env.baseUrl, "PATCH", "/admin/events/E100/config", {
+    headers: { "x-admin-key": ADMIN_KEY },
+    body: { batchSize: 1 },
+  });
+  assert.equal(config.status, 200);
+
+  const alice = await signupAndLogin(env.baseUrl, "alice@queue.test");
+  const bob = await signupAndLogin(env.baseUrl, "bob@queue.test");
+
+  const aliceEnter = await request(env.baseUrl, "POST", "/queue/enter", { token: alice.accessToken, body: { eventId: "E100" } });
+  assert.equal(aliceEnter.status, 200);
+  assert.equal(aliceEnter.body.status, "WAITING");
+  assert.equal(aliceEnter.body.position, 1);
+
+  const bobEnter = await request(env.baseUrl, "POST", "/queue/enter", { token: bob.accessToken, body: { eventId: "E100" } });
+  assert.equal(bobEnter.body.position, 2);
+
+  // 같은 사용자가 다시 들어오면 같은 토큰
+  const again = await request(env.baseUrl, "POST", "/queue/enter", { token: alice.accessToken, body: { eventId: "E100" } });
+  assert.equal(again.body.queueToken, aliceEnter.body.queueToken);
+  assert.equal(again.body.reentered, true);
+
+  const aliceToken = aliceEnter.body.queueToken;
+  const waiting = await request(env.baseUrl, "GET", `/queue/status?token=${aliceToken}`, { token: alice.accessToken });
+  assert.equal(waiting.status, 200);
+  assert.equal(waiting.body.status, "WAITING");
+  assert.equal(waiting.body.position, 1);
+
+  // 남의 토큰은 볼 수 없다
+  const foreign = await request(env.baseUrl, "GET", `/queue/status?token=${aliceToken}`, { token: bob.accessToken });
+  assert.equal(foreign.status, 403);
+
+  await admitter.tick();
+
+  const admitted = await request(env.baseUrl, "GET", `/queue/status?token=${aliceToken}`, { token: alice.accessToken });
+  assert.equal(admitted.body.status, "ADMITTED");
+  assert.ok(admitted.body.admissionToken);
+
+  const bobStatus = await request(env.baseUrl, "GET", `/queue/status?token=${bobEnter.body.queueToken}`, { token: bob.accessToken });
+  assert.equal(bobStatus.body.status, "WAITING");
+  assert.equal(bobStatus.body.position, 1);
+
+  const { admissionToken } = admitted.body;
+  const stolen = await request(env.baseUrl, "POST", "/reservation/start", { token: bob.accessToken, body: { admissionToken } });
+  assert.equal(stolen.status, 403);
+
+  const started = await request(env.baseUrl, "POST", "/reservation/start", { token: alice.accessToken, body: { admissionToken } });
+  assert.equal(started.status, 200);
+  assert.match(started.body.reservationId, /^r_/);
+  assert.equal(started.body.eventId, "E100");
+
+  const reserving = await request(env.baseUrl, "GET", `/queue/status?token=${aliceToken}`, { token: alice.accessToken });
+  assert.equal(reserving.body.status, "RESERVING");
+
+  // 입장권은 한 번만 쓸 수 있다
+  const reused = await request(env.baseUrl, "POST", "/reservation/start", { token: alice.accessToken, body: { admissionToken } });
+  assert.equal(reused.status, 401);
+
+  // 지나온 단계가 감사 기록에 남는다 (최신순)
+  await flushAudit();
+  const audit = await request(env.baseUrl, "GET", `/admin/users/${alice.user.id}/audit?eventId=E100`, {
+    headers: { "x-admin-key": ADMIN_KEY },
+  });
+  assert.equal(audit.status, 200);
+  assert.deepEqual(
+    audit.body.entries.map((e) => e.action),
+    ["RESERVATION_START", "ADMIT", "ENTER"]
+  );
+  assert.ok(audit.body.entries.every((e) => e.queueToken === aliceToken));
+});
+
+test("enter is rejected outside the sale window and for unknown events", async () => {
+  const user = await signupAndLogin(env.baseUrl, "carol@queue.test");
+  const future = Date.now() + 60 * 60 * 1000;
+  await createOpenEvent(env.baseUrl, "E200", {
+    saleOpensAt: new Date(future).toISOString(),
+    saleClosesAt: new Date(future + 60 * 60 * 1000).toISOString(),
+  });
+
+  const early = await request(env.baseUrl, "POST", "/queue/enter", { token: user.accessToken, body: { eventId: "E200" } });
+  assert.equal(early.status, 403);
+  assert.equal(early.body.error, "sale_not_open");
+
+  const unknown = await request(env.baseUrl, "POST", "/queue/enter", { token: user.accessToken, body: { eventId: "NOPE" } });
+  assert.equal(unknown.status, 404);
+  assert.equal(unknown.body.error, "event_not_found");
+
+  const anonymous = await request(env.baseUrl, "POST", "/queue/enter", { body: { eventId: "E100" } });
+  assert.equal(anonymous.status, 401);
+});
+
+test("audit entries that cannot be stored go to the dead-letter list", async () => {
+  await flushAudit();
+  await recordAudit({ action: "ENTER", eventId: "E100", userId: "1", queueToken: "q_good" });
+  // 시각이 잘못된 기록, JSON이 아닌 기록
+  await redis.lPush("audit:pending", JSON.stringify({ action: "ENTER", eventId: "E100", queueToken: "q_bad", at: "yesterday" }));
+  await redis.lPush("audit:pending", "{not json");
+  await flushAudit();
+
+  const stored = await request(env.baseUrl, "GET", "/admin/events/E100/audit?queueToken=q_good", { headers: { "x-admin-key": ADMIN_KEY } });
+  assert.equal(stored.body.entries.length, 1);
+  const dead = await redis.rPopCount("audit:dead", 10);
+  assert.deepEqual(dead.map((json) => (json.startsWith("{not") ? json : JSON.parse(json).queueToken)).sort(), ["q_bad", "{not json"]);
+  assert.equal(await redis.rPopCount("audit:pending", 10), null);
+});
+
+test("audit pages do not skip entries that share a timestamp", async () => {
+  const at = Date.now();
+  for (const action of ["ENTER", "ADMIT", "LEAVE"]) {
+    await redis.lPush("audit:pending", JSON.stringify({ action, eventId: "E100", queueToken: "q_page", at }));
+  }
+  await flushAudit();
+
+  const path = "/admin/events/E100/audit?queueToken=q_page&limit=2";
+  const first = await request(env.baseUrl, "GET", path, { headers: { "x-admin-key": ADMIN_KEY } });
+  assert.equal(first.body.entries.length, 2);
+  const { nextBefore, nextBeforeId } = first.body;
+  const second = await request(env.baseUrl, "GET", `${path}&before=${nextBefore}&beforeId=${nextBeforeId}`, {
+    headers: { "x-admin-key": ADMIN_KEY },
+  });
+  assert.deepEqual(
+    [...first.body.entries, ...second.body.entries].map((e) => e.action).sort(),
+    ["ADMIT", "ENTER", "LEAVE"]
+  );
+  assert.equal(second.body.nextBefore, null);
+
+  const badId = await request(env.baseUrl, "GET", `${path}&beforeId=3`, { headers: { "x-admin-key": ADMIN_KEY } });
+  assert.equal(badId.status, 400);
+  assert.equal(badId.body.error, "invalid_beforeId");
+});
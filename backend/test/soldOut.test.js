@@ -0,0 +1,112 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { startTestServer, request, signupAndLogin, createOpenEvent, ADMIN_KEY } from "./helpers.js";
+import { createAdmitter } from "../src/admitter.js";
+import { pool } from "../src/db.js";
+
+let env;
+let admitter;
+before(async () => {
+  env = await startTestServer();
+  admitter = createAdmitter();
+});
+after(async () => {
+  await admitter.stop();
+  await env.close();
+});
+
+const admin = { "x-admin-key": ADMIN_KEY };
+
+async function setupEvent(eventId, config) {
+  assert.equal((await createOpenEvent(env.baseUrl, eventId, { capacity: 1 })).status, 201);
+  await request(env.baseUrl, "PATCH", `/admin/events/${eventId}/config`, {
+    headers: admin,
+    body: { batchSize: 1, intervalMs: 100, ...config },
+  });
+  await pool.query(`INSERT INTO seats (event_id, seat_id, section, row_label, seat_number) VALUES ($1, 'A1-1', 'A', '1', 1)`, [
+    eventId,
+  ]);
+}
+
+// 입장 주기(intervalMs)가 지나도록 기다렸다가 한 번 돌린다
+async function tick() {
+  await sleep(150);
+  await admitter.tick();
+}
+
+const enter = (user, eventId) => request(env.baseUrl, "POST", "/queue/enter", { token: user.accessToken, body: { eventId } });
+const status = async (user, queueToken) =>
+  (await request(env.baseUrl, "GET", `/queue/status?token=${queueToken}`, { token: user.accessToken })).body;
+
+// 입장한 사용자가 예약을 시작하고 A1-1을 선점한다
+async function startAndHold(user, admissionToken) {
+  const started = await request(env.baseUrl, "POST", "/reservation/start", { token: user.accessToken, body: { admissionToken } });
+  const { reservationId } = started.body;
+  const held = await request(env.baseUrl, "POST", "/reservation/seats/hold", {
+    token: user.accessToken,
+    body: { reservationId, seatIds: ["A1-1"] },
+  });
+  assert.equal(held.status, 200);
+  return reservationId;
+}
+
+test("selling the last seat closes the queue and marks waiters SOLD_OUT", async () => {
+  await setupEvent("E500", {});
+  const alice = await signupAndLogin(env.baseUrl, "alice@soldout.test");
+  const bob = await signupAndLogin(env.baseUrl, "bob@soldout.test");
+
+  const aliceToken = (await enter(alice, "E500")).body.queueToken;
+  const bobToken = (await enter(bob, "E500")).body.queueToken;
+  await tick();
+  const reservationId = await startAndHold(alice, (await status(alice, aliceToken)).admissionToken);
+
+  // 선점만 된 상태: 입장을 멈추고 기다리게 한다
+  await tick();
+  const waiting = await status(bob, bobToken);
+  assert.equal(waiting.status, "WAITING");
+  assert.equal(waiting.waitlist, true);
+
+  const confirmed = await request(env.baseUrl, "POST", "/reservation/confirm", { token: alice.accessToken, body: { reservationId } });
+  assert.equal(confirmed.status, 200);
+  await tick();
+
+  assert.equal((await status(bob, bobToken)).status, "SOLD_OUT");
+  const carol = await signupAndLogin(env.baseUrl, "carol@soldout.test");
+  const rejected = await enter(carol, "E500");
+  assert.equal(rejected.status, 403);
+  assert.equal(rejected.body.error, "sold_out");
+
+  const control = await request(env.baseUrl, "GET", "/admin/events/E500/queue", { headers: admin });
+  assert.equal(control.body.soldOut.state, "SOLD_OUT");
+
+  // 좌석과 정원을 늘리면 다시 열린다
+  await pool.query(`INSERT INTO seats (event_id, seat_id, section, row_label, seat_number) VALUES ('E500', 'A1-2', 'A', '1', 2)`);
+  await request(env.baseUrl, "PATCH", "/admin/events/E500", { headers: admin, body: { capacity: 2 } });
+  assert.equal((await enter(carol, "E500")).status, 200);
+});
+
+test("waitlist mode keeps waiters and resumes when a hold is released", async () => {
+  await setupEvent("E501", { soldOutWaitlist: true });
+  const dave = await signupAndLogin(env.baseUrl, "dave@soldout.test");
+  const erin = await signupAndLogin(env.baseUrl, "erin@soldout.test");
+
+  const daveToken = (await enter(dave, "E501")).body.queueToken;
+  const erinToken = (await enter(erin, "E501")).body.queueToken;
+  await tick();
+  const reservationId = await startAndHold(dave, (await status(dave, daveToken)).admissionToken);
+
+  await tick();
+  assert.equal((await status(erin, erinToken)).waitlist, true);
+  // 대기 중에도 새로 들어올 수 있다
+  const frank = await signupAndLogin(env.baseUrl, "frank@soldout.test");
+  assert.equal((await enter(frank, "E501")).status, 200);
+
+  const cancelled = await request(env.baseUrl, "POST", "/reservation/cancel", { token: dave.accessToken, body: { reservationId } });
+  assert.equal(cancelled.status, 200);
+  await tick();
+
+  const resumed = await status(erin, erinToken);
+  assert.equal(resumed.status, "ADMITTED");
+  assert.equal(resumed.waitlist, false);
+});
@@ -0,0 +1,167 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestServer, request, signupAndLogin, createOpenEvent, ADMIN_KEY } from "./helpers.js";
+import { createAdmitter } from "../src/admitter.js";
+import { pool } from "../src/db.js";
+import { redis } from "../src/redisClient.js";
+import { seatHoldKey } from "../src/seats.js";
+import { setTimeout as sleep } from "node:timers/promises";
+
+let env;
+let admitter;
+before(async () => {
+  env = await startTestServer();
+  admitter = createAdmitter();
+});
+after(async () => {
+  await admitter.stop();
+  await env.close();
+});
+
+async function setupEvent(eventId, { capacity, seats, config }) {
+  assert.equal((await createOpenEvent(env.baseUrl, eventId, { capacity })).status, 201);
+  const patched = await request(env.baseUrl, "PATCH", `/admin/events/${eventId}/config`, {
+    headers: { "x-admin-key": ADMIN_KEY },
+    body: { batchSize: 10, intervalMs: 100, ...config },
+  });
+  assert.equal(patched.status, 200);
+  for (let n = 1; n <= seats; n++) {
+    await pool.query(
+      `INSERT INTO seats (event_id, seat_id, section, row_label, seat_number) VALUES ($1, $2, 'A', '1', $3)`,
+      [eventId, `A1-${n}`, n]
+    );
+  }
+}
+
+// 대기열에 들어가 입장한 뒤 예약 세션을 연다 (입장 주기 intervalMs가 지나도록 기다렸다가 입장 처리)
+async function startReservation(eventId, user) {
+  const token = user.accessToken;
+  const enter = await request(env.baseUrl, "POST", "/queue/enter", { token, body: { eventId } });
+  assert.equal(enter.status, 200);
+  await sleep(150);
+  await admitter.tick();
+  const status = await request(env.baseUrl, "GET", `/queue/status?token=${enter.body.queueToken}`, { token });
+  assert.equal(status.body.status, "ADMITTED");
+  const started = await request(env.baseUrl, "POST", "/reservation/start", {
+    token,
+    body: { admissionToken: status.body.admissionToken },
+  });
+  assert.equal(started.status, 200);
+  return started.body.reservationId;
+}
+
+const hold = (user, reservationId, seatIds) =>
+  request(env.baseUrl, "POST", "/reservation/seats/hold", { token: user.accessToken, body: { reservationId, seatIds } });
+const confirm = (user, reservationId) =>
+  request(env.baseUrl, "POST", "/reservation/confirm", { token: user.accessToken, body: { reservationId } });
+
+test("maxTicketsPerUser counts seats bought in earlier sessions", async () => {
+  await setupEvent("E400", { capacity: 10, seats: 6, config: { maxTicketsPerUser: 2 } });
+  const alice = await signupAndLogin(env.baseUrl, "alice@tickets.test");
+
+  const first = await startReservation("E400", alice);
+  assert.equal((await hold(alice, first, ["A1-1", "A1-2", "A1-3"])).body.error, "ticket_limit_exceeded");
+  assert.equal((await hold(alice, first, ["A1-1", "A1-2"])).status, 200);
+  assert.equal((await confirm(alice, first)).status, 200);
+
+  // 대기열에 다시 들어와도 이미 산 2장이 한도에 들어간다
+  const second = await startReservation("E400", alice);
+  const rejected = await hold(alice, second, ["A1-3"]);
+  assert.equal(rejected.status, 409);
+  assert.deepEqual(rejected.body, { error: "ticket_limit_exceeded", maxTicketsPerUser: 2 });
+});
+
+test("held seats are released from the limit on cancel", async () => {
+  await setupEvent("E401", { capacity: 10, seats: 4, config: { maxTicketsPerUser: 1 } });
+  const bob = await signupAndLogin(env.baseUrl, "bob@tickets.test");
+
+  const first = await startReservation("E401", bob);
+  assert.equal((await hold(bob, first, ["A1-1"])).status, 200);
+  // 같은 좌석을 다시 잡아도 두 번 세지 않는다
+  assert.equal((await hold(bob, first, ["A1-1"])).status, 200);
+  const cancelled = await request(env.baseUrl, "POST", "/reservation/cancel", { token: bob.accessToken, body: { reservationId: first } });
+  assert.equal(cancelled.status, 200);
+
+  const second = await startReservation("E401", bob);
+  assert.equal((await hold(bob, second, ["A1-2"])).status, 200);
+  assert.equal((await confirm(bob, second)).status, 200);
+});
+
+test("an event never sells more than its capacity", async () => {
+  await setupEvent("E402", { capacity: 2, seats: 4, config: {} });
+  const carol = await signupAndLogin(env.baseUrl, "carol@tickets.test");
+  const dave = await signupAndLogin(env.baseUrl, "dave@tickets.test");
+
+  const carolReservation = await startReservation("E402", carol);
+  const daveReservation = await startReservation("E402", dave);
+  assert.equal((await hold(carol, carolReservation, ["A1-1", "A1-2"])).status, 200);
+  // 좌석은 남았지만 정원 2석이 모두 선점됨
+  const full = await hold(dave, daveReservation, ["A1-3"]);
+  assert.equal(full.status, 409);
+  assert.equal(full.body.error, "sold_out");
+
+  assert.equal((await confirm(carol, carolReservation)).status, 200);
+  assert.equal((await hold(dave, daveReservation, ["A1-3"])).body.error, "sold_out");
+
+  const sold = await pool.query(`SELECT COUNT(*) AS n FROM reservations WHERE event_id = 'E402'`);
+  assert.equal(Number(sold.rows[0].n), 2);
+});
+
+test("confirm re-checks capacity against sold rows in the database", async () => {
+  await setupEvent("E403", { capacity: 1, seats: 2, config: {} });
+  const erin = await signupAndLogin(env.baseUrl, "erin@tickets.test");
+
+  const reservationId = await startReservation("E403", erin);
+  assert.equal((await hold(erin, reservationId, ["A1-1"])).status, 200);
+  // Redis 카운터가 모르는 판매 (다른 인스턴스에서 카운터를 잃은 경우 등)
+  await pool.query(`INSERT INTO reservations (reservation_id, event_id, user_id, seat_id) VALUES ('r_other', 'E403', '999', 'A1-2')`);
+
+  const rejected = await confirm(erin, reservationId);
+  assert.equal(rejected.status, 409);
+  assert.equal(rejected.body.error, "sold_out");
+});
+
+test("release only drops holds still owned by the session", async () => {
+  await setupEvent("E404", { capacity: 10, seats: 2, config: {} });
+  const frank = await signupAndLogin(env.baseUrl, "frank@tickets.test");
+
+  const reservationId = await startReservation("E404", frank);
+  assert.equal((await hold(frank, reservationId, ["A1-1", "A1-2"])).status, 200);
+  // 선점이 만료된 사이 다른 세션이 A1-2를 잡은 경우
+  await redis.set(seatHoldKey("E404", "A1-2"), "r_other");
+
+  const released = await request(env.baseUrl, "POST", "/reservation/seats/release", {
+    token: frank.accessToken,
+    body: { reservationId, seatIds: ["A1-1", "A1-2"] },
+  });
+  assert.equal(released.status, 200);
+  assert.equal(await redis.get(seatHoldKey("E404", "A1-1")), null);
+  assert.equal(await redis.get(seatHoldKey("E404", "A1-2")), "r_other");
+});
+
+test("seat map orders numeric rows naturally", async () => {
+  assert.equal((await createOpenEvent(env.baseUrl, "E405")).status, 201);
+  for (const row of ["10", "2", "1"]) {
+    await pool.query(
+      `INSERT INTO seats (event_id, seat_id, section, row_label, seat_number) VALUES ('E405', $1, 'A', $2, 1)`,
+      [`A${row}-1`, row]
+    );
+  }
+
+  const map = await request(env.baseUrl, "GET", "/events/E405/seats");
+  assert.deepEqual(map.body.seats.map((seat) => seat.row), ["1", "2", "10"]);
+});
+
+test("confirm sets sold counters from the database even if they were missing", async () => {
+  await setupEvent("E406", { capacity: 10, seats: 2, config: {} });
+  const grace = await signupAndLogin(env.baseUrl, "grace@tickets.test");
+
+  const reservationId = await startReservation("E406", grace);
+  assert.equal((await hold(grace, reservationId, ["A1-1", "A1-2"])).status, 200);
+  // 선점과 확정 사이에 카운터가 사라진 경우 (만료, Redis 재시작)
+  await redis.del(["tickets:E406:sold", `tickets:E406:sold:${grace.user.id}`]);
+
+  assert.equal((await confirm(grace, reservationId)).status, 200);
+  assert.equal(await redis.get("tickets:E406:sold"), "2");
+  assert.equal(await redis.get(`tickets:E406:sold:${grace.user.id}`), "2");
+});
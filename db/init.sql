@@ -1,13 +0,0 @@
-CREATE TABLE IF NOT EXISTS queue_entries (
-  id SERIAL PRIMARY KEY,
-  user_id VARCHAR(64) NOT NULL,
-  status VARCHAR(20) NOT NULL DEFAULT 'WAITING',
-  created_at TIMESTAMP NOT NULL DEFAULT NOW()
-);
-
-CREATE TABLE IF NOT EXISTS reservations (
-  id SERIAL PRIMARY KEY,
-  user_id VARCHAR(64) NOT NULL,
-  seat_id VARCHAR(32) NOT NULL,
-  created_at TIMESTAMP NOT NULL DEFAULT NOW()
-);
@@ -1,42 +1,61 @@
-import dotenv from "dotenv";
-import { createClient } from "redis";
-import pg from "pg";
-
-dotenv.config();
-const { Pool } = pg;
-
-const pool = new Pool({
-  host: process.env.DB_HOST,
-  port: Number(process.env.DB_PORT || 5432),
-  user: process.env.DB_USER,
-  password: process.env.DB_PASSWORD,
-  database: process.env.DB_NAME,
-});
+// 입장 처리 전용 워커
+// 대기열 입장(admission), 만료 정리, 리스 반납, 감사 기록 저장을 API 프로세스 대신 맡는다.
+// 로직은 backend/src 모듈을 그대로 쓰므로 backend 의존성도 설치되어 있어야 한다 (cd backend && npm install).
+// API는 ADMITTER_ENABLED=false로 띄우면 내장 입장 처리기를 끄고 이 워커만 돌게 된다.
+import "dotenv/config";
+import { initRedis, redis, REDIS_ENABLED } from "../backend/src/redisClient.js";
+import { createAdmitter } from "../backend/src/admitter.js";
+import { startSweeper, stopSweeper } from "../backend/src/sweeper.js";
+import { startAuditFlusher, stopAuditFlusher } from "../backend/src/audit.js";
+import { pool } from "../backend/src/db.js";
 
-const redis = createClient({
-  url: process.env.REDIS_URL
-});
+// 종료 신호 후 이 시간 안에 정리가 안 끝나면 강제 종료
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.WORKER_SHUTDOWN_TIMEOUT_MS || 10000);
 
 async function main() {
-  await redis.connect();
+  // 메모리 저장소는 API 프로세스와 공유되지 않는다
+  if (!REDIS_ENABLED) {
+    console.error("Worker requires Redis (REDIS_ENABLED=true, REDIS_URL)");
+    process.exit(1);
+  }
+  await initRedis();
   console.log("Worker connected to Redis");
 
-  // 데모: 3초마다 WAITING 중 가장 오래된 1명 -> ALLOWED로 변경
-  setInterval(async () => {
+  const admitter = createAdmitter();
+  admitter.start();
+  const sweeperTimer = startSweeper();
+  const auditTimer = startAuditFlusher();
+
+  let stopping = false;
+  async function shutdown(signal) {
+    if (stopping) return;
+    stopping = true;
+    console.log(`Worker shutting down (${signal})`);
+
+    const force = setTimeout(() => {
+      console.error("Worker shutdown timed out");
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS);
+    force.unref();
+
     try {
-      const r = await pool.query(
-        "SELECT id FROM queue_entries WHERE status='WAITING' ORDER BY id ASC LIMIT 1"
-      );
-      if (r.rows.length === 0) return;
-
-      const id = r.rows[0].id;
-      await pool.query("UPDATE queue_entries SET status='ALLOWED' WHERE id=$1", [id]);
-      await redis.publish("queue_events", JSON.stringify({ type: "ALLOWED", id }));
-      console.log("Promoted queue entry:", id);
+      // 진행 중인 배치/정리가 끝날 때까지 기다린 뒤 리스를 반납하고 연결을 닫는다
+      await admitter.stop();
+      await stopSweeper(sweeperTimer);
+      // 입장/만료 기록까지 DB에 넣고 닫는다
+      await stopAuditFlusher(auditTimer);
+      await redis.quit();
+      await pool.end();
+      console.log("Worker stopped");
+      process.exit(0);
     } catch (e) {
-      console.error("Worker error:", e.message);
+      console.error("Worker shutdown failed:", e);
+      process.exit(1);
     }
-  }, 3000);
+  }
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
 }
 
 main().catch((e) => {